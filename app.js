@@ -10,6 +10,8 @@ const fs = require('fs').promises;  // Use promise-based API for better async ha
 const fsSync = require('fs');       // Keep sync for startup operations only
 const multer = require('multer');
 const cors = require('cors');
+const crypto = require('crypto');
+const EventEmitter = require('events');
 
 // =======================
 // 2. ROUTER IMPORTS
@@ -23,27 +25,303 @@ const usersRouter = require('./routes/users');
 const { PDFToImage } = require('pdf-to-image-generator');
 const sharp = require('sharp');
 const PDFDocument = require('pdfkit');
+const archiver = require('archiver');
 
 // =======================
 // 4. CONSTANT DEFINITIONS
 // =======================
 // Application constants
-const MAX_FILE_SIZE = 100 * 1024 * 1024; // 100MB in bytes
+const MAX_FILE_SIZE = 100 * 1024 * 1024; // 100MB in bytes (per file)
+const MAX_UPLOAD_FILES = 20;
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.webp'];
+const IMAGE_MIME_TYPES = ['image/png', 'image/jpeg', 'image/webp'];
+const IMAGE_FORMATS_ACCEPTED = ['png', 'jpeg', 'webp']; // As detected from the file content
+const PDF_SIGNATURE = '%PDF-';
+const PDF_SIGNATURE_SEARCH_LENGTH = 1024; // Some writers put a few bytes before the header
+
+// Upload limits: pages across all files of an upload, and pixels per rendered page
+const MAX_UPLOAD_PAGES = Number(process.env.UPLOAD_MAX_PAGES ?? 500);
+const MAX_PAGE_PIXELS = Number(process.env.UPLOAD_MAX_PAGE_MEGAPIXELS ?? 50) * 1000 * 1000;
+
+// Machine-readable codes for rejected uploads, sent as "code" next to the error message
+const UPLOAD_ERROR_CODES = {
+  INVALID_PDF: 'INVALID_PDF',
+  INVALID_IMAGE: 'INVALID_IMAGE',
+  ENCRYPTED: 'ENCRYPTED',
+  TOO_MANY_PAGES: 'TOO_MANY_PAGES',
+  PAGE_TOO_LARGE: 'PAGE_TOO_LARGE',
+  FILE_TOO_LARGE: 'FILE_TOO_LARGE',
+  TOO_MANY_FILES: 'TOO_MANY_FILES',
+  UNSUPPORTED_FILE: 'UNSUPPORTED_FILE'
+};
 const A4_WIDTH = 595;
 const A4_HEIGHT = 842;
 const DEFAULT_COLUMNS = 2;
 const DEFAULT_ROWS = 4;
 const MAX_COLUMNS = 10;
 const MAX_ROWS = 20;
-const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.webp'];
+const MAX_PAGE_SELECTION_LENGTH = 500;
+const RENDER_VIEWPORT_SCALE = 2;
+const PAGE_PROCESSING_CONCURRENCY = 4; // Pages run through sharp at the same time
+
+// Cell numbering modes: the slide's page in the source PDF, or its position in the handout
+const NUMBERING_MODES = ['original', 'sequential'];
+const DEFAULT_NUMBERING = 'original';
+
+// Output sheet sizes in points (portrait)
+const POINTS_PER_MM = 72 / 25.4;
+const PAPER_SIZES = {
+  a3: [842, 1191],
+  a4: [A4_WIDTH, A4_HEIGHT],
+  a5: [420, 595],
+  letter: [612, 792],
+  legal: [612, 1008]
+};
+const DEFAULT_PAPER = 'a4';
+const ORIENTATIONS = ['portrait', 'landscape'];
+const DEFAULT_ORIENTATION = 'portrait';
+
+// Result formats: the N-up handout, one slide per PDF page, or images in a ZIP
+// (the processed slides, or the composed sheets)
+const OUTPUT_FORMATS = {
+  pdf: { suffix: 'handout', extension: '.pdf', contentType: 'application/pdf' },
+  'slides-pdf': { suffix: 'slides', extension: '.pdf', contentType: 'application/pdf' },
+  'slides-zip': { suffix: 'slides', extension: '.zip', contentType: 'application/zip' },
+  'sheets-zip': { suffix: 'sheets', extension: '.zip', contentType: 'application/zip' }
+};
+const DEFAULT_OUTPUT_FORMAT = 'pdf';
+const IMAGE_FORMATS = ['png', 'jpeg', 'webp'];
+const DEFAULT_IMAGE_FORMAT = 'png';
+const DEFAULT_IMAGE_QUALITY = 85; // JPEG and WebP only
+const SHEET_IMAGE_SCALE = 2; // Sheets exported as images are rendered at 144 dpi
+
+// Resolution and compression of the page images in the result. Bilevel images are always
+// stored with one bit per pixel (Flate compressed: pdfkit cannot write CCITT).
+const DEFAULT_RENDER_DPI = 72 * RENDER_VIEWPORT_SCALE;
+const MIN_RENDER_DPI = 50;
+const MAX_RENDER_DPI = 600;
+const COLOR_MODES = ['color', 'grayscale', 'bilevel'];
+const DEFAULT_COLOR_MODE = 'color';
+// "auto" keeps each page's own encoding (rendered JPEGs stay JPEG), "png" is lossless for every page
+const IMAGE_ENCODINGS = ['auto', 'png', 'jpeg'];
+const DEFAULT_IMAGE_ENCODING = 'auto';
+const BILEVEL_THRESHOLD = 128; // Lighter pixels become white, darker ones black
+const MAX_TARGET_SIZE_MB = 1024;
+// To reach a target size, JPEG qualities are tried in turn, then smaller images at the lowest quality
+const TARGET_SIZE_QUALITIES = [80, 65, 50, 35];
+const TARGET_SIZE_SCALES = [0.75, 0.5];
+
+// Impositions: loose N-up sheets, or folded booklets with two grid pages per landscape sheet side
+const IMPOSITIONS = ['none', 'booklet'];
+const DEFAULT_IMPOSITION = 'none';
+
+// Grid modes: rows and columns as requested, or the best fit for the slides' aspect ratio
+const LAYOUT_MODES = ['manual', 'auto'];
+const DEFAULT_LAYOUT_MODE = 'manual';
+const DEFAULT_SLIDES_PER_SHEET = DEFAULT_COLUMNS * DEFAULT_ROWS;
+const MIN_SLIDE_WIDTH_MM = 10;
+
+// Sheet spacing limits in millimetres (request values are millimetres, layouts use points)
+const MIN_CUSTOM_PAPER_MM = 50;
+const MAX_CUSTOM_PAPER_MM = 1200;
+const MAX_MARGIN_MM = 100;
+const MAX_GUTTER_MM = 30;
+const MAX_CELL_PADDING_MM = 20;
+const MIN_CELL_SIZE = 20; // Smallest usable cell side in points
+
+// Defaults reproduce the original sheet: no side margins, the bottom tenth of the page left
+// empty (rows used to be 90% of their share), cells touching and a 4pt padding inside them
+const DEFAULT_MARGINS = { top: 0, right: 0, bottom: 0, left: 0 };
+const DEFAULT_BOTTOM_MARGIN_RATIO = 0.1;
+const DEFAULT_GUTTER = 0;
+const DEFAULT_CELL_PADDING = 4;
+
+// Note-taking space next to every slide: ruled lines, a blank box or a dot grid
+const NOTES_STYLES = ['none', 'lines', 'box', 'dots'];
+const NOTES_POSITIONS = ['right', 'below'];
+const DEFAULT_NOTES_STYLE = 'none';
+const DEFAULT_NOTES_POSITION = 'right';
+const DEFAULT_NOTES_SPACING_MM = 7; // Between ruled lines or dots
+const MIN_NOTES_SPACING_MM = 3;
+const MAX_NOTES_SPACING_MM = 30;
+const DEFAULT_NOTES_SHARE = 0.5; // Part of the cell given to notes
+const MIN_NOTES_SHARE = 0.2;
+const MAX_NOTES_SHARE = 0.8;
+const NOTES_COLOR = '#9ca3af';
+
+// Auto-crop and deskew of processed pages (scans and exports with wide borders)
+const AUTO_CROP_THRESHOLD = 40; // How far (0-255) a pixel may differ from the border colour and still be border
+const AUTO_CROP_PADDING_RATIO = 0.01; // Kept around the content, relative to the longer page side
+const AUTO_CROP_MIN_AREA_RATIO = 0.05; // Smaller content boxes (nearly blank pages) are left uncropped
+const DESKEW_MAX_ANGLE = 5; // Degrees either way
+const DESKEW_ANGLE_STEP = 0.25;
+const DESKEW_MIN_ANGLE = 0.2; // Smaller skews are left alone
+const DESKEW_SAMPLE_WIDTH = 500; // The skew is measured on a copy this many pixels wide
+
+// Header and footer stamped on every sheet. Templates may use {page}, {pages}, {date},
+// {filename} and {note}; the note alone is printed as the header by default.
+const STAMP_PLACEHOLDERS = ['page', 'pages', 'date', 'filename', 'note'];
+const DEFAULT_HEADER_TEMPLATE = '{note}';
+const DEFAULT_FOOTER_TEMPLATE = '';
+const MAX_STAMP_TEMPLATE_LENGTH = 200;
+const MAX_NOTE_LENGTH = 500;
+const STAMP_FONT_SIZE = 9;
+const STAMP_BAND_HEIGHT = 20; // Header and footer each get this much of the page edge, in points
+const STAMP_SIDE_INSET = 12;
+
+// Cell decorations: border around each slide and the slide number in one of its corners
+const BORDER_STYLES = ['solid', 'dashed', 'rounded', 'none'];
+const DEFAULT_BORDER_STYLE = 'solid';
+const DEFAULT_BORDER_WIDTH = 1;
+const MIN_BORDER_WIDTH = 0.25;
+const MAX_BORDER_WIDTH = 6;
+const MAX_BORDER_RADIUS = 8;
+const NUMBER_POSITIONS = ['bottom-right', 'bottom-left', 'top-right', 'top-left', 'none'];
+const DEFAULT_NUMBER_POSITION = 'bottom-right';
+const DEFAULT_NUMBER_SIZE = 6;
+const MIN_NUMBER_SIZE = 4;
+const MAX_NUMBER_SIZE = 24;
+const NUMBER_DIGITS = ['latin', 'bengali'];
+const DEFAULT_NUMBER_DIGITS = 'latin';
+const NUMBER_CORNER_OFFSET = 15; // Bottom/right numbers start this far in from the cell corner...
+const NUMBER_EDGE_GAP = 4; // ...or further, when the number needs it to stay inside the cell
+const BENGALI_DIGITS = ['০', '১', '২', '৩', '৪', '৫', '৬', '৭', '৮', '৯'];
+
+// Processing recipe steps and their parameter limits.
+// "order" is the position sharp gives the operation in its fixed internal pipeline:
+// within one sharp call, operations always run in that order, whatever order they were chained in.
+// "endsPass" steps leave pixels that later operations of the same call would misread.
+const MAX_RECIPE_STEPS = 30;
+const RECIPE_STEPS = {
+  grayscale: { order: 1, params: {} },
+  median: { order: 2, params: { size: { min: 1, max: 15, defaultValue: 3, integer: true } } },
+  threshold: { order: 3, params: { level: { min: 0, max: 255, defaultValue: 128, integer: true } } },
+  // Sharpened pixels stay in sharp's internal 16-bit colourspace until the image is written
+  sharpen: { order: 4, endsPass: true, params: { sigma: { min: 0.3, max: 10, defaultValue: null } } },
+  // Only the output gamma is used, which sharp applies after sharpening
+  gamma: { order: 5, params: { value: { min: 1, max: 3, defaultValue: 2.2 } } },
+  linear: { order: 6, params: { a: { min: -10, max: 10, defaultValue: 1 }, b: { min: -255, max: 255, defaultValue: 0 } } },
+  normalise: { order: 7, params: { lower: { min: 0, max: 99, defaultValue: 1, integer: true }, upper: { min: 1, max: 100, defaultValue: 99, integer: true } } },
+  negate: { order: 8, params: {} }
+};
+const RECIPE_STEP_ALIASES = {
+  greyscale: 'grayscale',
+  normalize: 'normalise'
+};
+
+// Built-in processing presets, each an ordered recipe of steps
+const DEFAULT_PRESET = 'math_mahir_slides';
+const PROCESSING_PRESETS = {
+  math_mahir_slides: {
+    label: 'Math Mahir Slides',
+    description: 'Turns dark-background slides into dark text on a white background',
+    // Listed in the order sharp actually runs them (linear before negate in each pass)
+    steps: [
+      { step: 'grayscale' }, { step: 'linear', a: 1.3, b: -50 }, { step: 'negate' },
+      { step: 'linear', a: 1.2, b: -30 }, { step: 'negate' },
+      { step: 'linear', a: 1.5, b: -30 }, { step: 'negate' }
+    ]
+  },
+  negative: {
+    label: 'Negative',
+    description: 'Plain colour inversion',
+    steps: [{ step: 'negate' }]
+  },
+  original: {
+    label: 'Original Colours',
+    description: 'Keeps the slides exactly as they are',
+    steps: []
+  },
+  high_contrast_print: {
+    label: 'High Contrast Print',
+    description: 'Grayscale with stretched contrast and sharper text for photocopies',
+    steps: [
+      { step: 'grayscale' }, { step: 'normalise' },
+      { step: 'linear', a: 1.4, b: -40 },
+      { step: 'sharpen' }
+    ]
+  }
+};
+
+// Inversion: "always" runs a recipe's inversion steps on every page, "auto" only on pages with
+// a dark background; pages can also be forced either way
+const INVERSION_MODES = ['always', 'auto'];
+// Steps a recipe that inverts tunes for the inverted image: uninverted pages skip all of them,
+// since brightness curves meant for a negated dark slide wash out a light one
+const INVERSION_STEPS = ['negate', 'linear', 'gamma'];
+const DEFAULT_INVERSION_MODE = 'always';
+const DARK_PIXEL_LUMINANCE = 128; // Pixels darker than this count as dark
+const DARK_PAGE_SHARE = 0.5; // Pages with a larger share of dark pixels have a dark background
+const LUMINANCE_SAMPLE_WIDTH = 200; // Luminance is measured on a copy this many pixels wide
+
+// Dedupe of animation build-ups: a page is dropped when the next page of the same file only adds to it
+const DEFAULT_DEDUPE_THRESHOLD = 1; // Percent of a page's content that may change in the next build step
+const DEDUPE_SAMPLE_SIZE = 200; // Pages are compared as grayscale copies this many pixels square
+const DEDUPE_PIXEL_TOLERANCE = 32; // How far (0-255) a pixel may change and still count as the same
+
+const MAX_CONCURRENT_JOBS = 2;
+const SSE_HEARTBEAT_INTERVAL = 15 * 1000; // 15 seconds in milliseconds
+
+// Previews: one processed page and optionally the first sheet, as small JPEGs
+const PREVIEW_PAGE_WIDTH = 640; // Pixels
+const PREVIEW_SHEET_WIDTH = 480; // Pixels
+const PREVIEW_JPEG_QUALITY = 70;
+
+// Cache of rendered and processed pages, keyed by the content hash of the upload.
+// Least recently used pages go first once the cache outgrows its size; PAGE_CACHE_MAX_MB=0 turns it off.
+const PAGE_CACHE_MAX_SIZE = Number(process.env.PAGE_CACHE_MAX_MB ?? 1024) * 1024 * 1024;
+const PAGE_CACHE_MAX_AGE = 24 * 60 * 60 * 1000; // 1 day in milliseconds
+
+// Retention: finished jobs and uploads go once they are older than RETENTION_MAX_AGE_MINUTES,
+// and uploads, results and cached pages together are kept under RETENTION_DISK_QUOTA_MB
+const RETENTION_MAX_AGE = Number(process.env.RETENTION_MAX_AGE_MINUTES ?? 60) * 60 * 1000;
+const RETENTION_DISK_QUOTA = Number(process.env.RETENTION_DISK_QUOTA_MB ?? 4096) * 1024 * 1024;
+const RETENTION_SWEEP_INTERVAL = 5 * 60 * 1000; // 5 minutes in milliseconds
+
+// Token for the admin API (sent as "Authorization: Bearer <token>"); without one the admin API is off
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || '';
+
+// Job lifecycle states reported by the job API
+const JOB_STATES = {
+  QUEUED: 'queued',
+  CONVERTING: 'converting',
+  PROCESSING: 'processing',
+  COMPOSING: 'composing',
+  DONE: 'done',
+  FAILED: 'failed'
+};
+
+// Pipeline steps that report page progress, in execution order
+const PROGRESS_STEPS = [
+  JOB_STATES.CONVERTING,
+  JOB_STATES.PROCESSING,
+  JOB_STATES.COMPOSING
+];
 
 // Folder paths
 const UPLOAD_FOLDER = path.join(__dirname, 'uploads');
-const TEMP_UPLOAD_FOLDER = path.join(__dirname, 'upload');
-const STAGE_1_FOLDER = path.join(__dirname, 'stage_1');
-const STAGE_2_FOLDER = path.join(__dirname, 'stage_2');
-const FINAL_FOLDER = path.join(__dirname, 'MainFinalOutput');
-const FINAL_PDF_PATH = path.join(__dirname, 'FinalOutput.pdf');
+const JOBS_FOLDER = path.join(__dirname, 'jobs');
+const RECIPES_FOLDER = path.join(__dirname, 'recipes');
+const FONTS_FOLDER = path.join(__dirname, 'fonts');
+const CACHE_FOLDER = path.join(__dirname, 'cache');
+
+// Unicode font for stamps and Bengali digits; Helvetica has no Bengali glyphs
+// (SIL Open Font License, see fonts/OFL.txt)
+const BENGALI_FONT_NAME = 'NotoSansBengali';
+const BENGALI_FONT_PATH = path.join(FONTS_FOLDER, 'NotoSansBengali-Regular.ttf');
+
+// Per-job workspace layout (relative to the job folder)
+const FINAL_PDF_NAME = 'FinalOutput.pdf';
+const RESULT_FILE_NAME = 'result'; // Other formats, plus their extension
+
+// Shared folders used by releases before per-job workspaces existed
+const LEGACY_WORK_PATHS = [
+  path.join(__dirname, 'upload'),
+  path.join(__dirname, 'stage_1'),
+  path.join(__dirname, 'stage_2'),
+  path.join(__dirname, 'MainFinalOutput'),
+  path.join(__dirname, 'FinalOutput.pdf')
+];
 
 // =======================
 // 5. HELPER FUNCTIONS
@@ -67,33 +345,6 @@ async function ensureFolderExists(folderPath) {
   }
 }
 
-/**
- * Safely removes all files from a folder
- * @param {string} folderPath - Path to the folder
- */
-async function cleanFolder(folderPath) {
-  try {
-    const files = await fs.readdir(folderPath);
-    
-    // Delete all files in parallel for better performance
-    const deletePromises = files.map(async (file) => {
-      const filePath = path.join(folderPath, file);
-      try {
-        await fs.unlink(filePath);
-      } catch (error) {
-        console.warn(`Failed to delete file ${filePath}:`, error.message);
-      }
-    });
-    
-    await Promise.all(deletePromises);
-    console.log(`Cleaned folder: ${folderPath}`);
-  } catch (error) {
-    if (error.code !== 'ENOENT') {
-      console.warn(`Failed to clean folder ${folderPath}:`, error.message);
-    }
-  }
-}
-
 /**
  * Safely removes a folder and all its contents
  * @param {string} folderPath - Path to the folder to remove
@@ -143,339 +394,3040 @@ function validateInteger(value, min, max, defaultValue) {
 }
 
 /**
- * Filters files by allowed image extensions
- * @param {string[]} files - Array of filenames
- * @returns {string[]} Filtered array of image files
+ * Reads an optional number option, rejecting values outside its range
+ * @param {any} value - Value from the request
+ * @param {string} name - Option name used in error messages
+ * @param {number} min - Minimum allowed value
+ * @param {number} max - Maximum allowed value
+ * @param {number} defaultValue - Value used when the option is missing
+ * @returns {number} Parsed number
+ * @throws {Error} HTTP 400 error for values that are not numbers or out of range
  */
-function filterImageFiles(files) {
-  return files.filter(file => {
-    const ext = path.extname(file).toLowerCase();
-    return IMAGE_EXTENSIONS.includes(ext);
-  });
+function parseNumberOption(value, name, min, max, defaultValue) {
+  if (value === undefined || value === null || value === '') {
+    return defaultValue;
+  }
+  
+  const parsed = Number(value);
+  
+  if (!Number.isFinite(parsed) || parsed < min || parsed > max) {
+    throw createError(400, `Invalid ${name} "${value}": must be a number between ${min} and ${max}`);
+  }
+  
+  return parsed;
 }
 
-// =======================
-// 6. IMAGE PROCESSING FUNCTIONS
-// =======================
+/**
+ * Reads an optional on/off option (checkbox or query style)
+ * @param {any} value - Value from the request
+ * @returns {boolean} Whether the option is switched on
+ */
+function isEnabledOption(value) {
+  return ['true', '1', 'on', 'yes'].includes(String(value).toLowerCase());
+}
 
 /**
- * Converts PDF to images
- * @param {string} pdfPath - Path to the PDF file
- * @param {string} outputFolder - Folder to save converted images
+ * Parses a page selection expression such as "5-40, !12, !17" or "odd".
+ * Comma or space separated terms:
+ *   N, N-M, N-   include a page, a range, or everything from N to the end
+ *   !N, !N-M     exclude a page or range
+ *   odd, even    keep only odd or even pages of what is included
+ * Without any include term every page is included.
+ * @param {string} expression - Page selection expression
+ * @returns {object|null} Parsed selection, or null for an empty expression (all pages)
+ * @throws {Error} HTTP 400 error describing the syntax problem
  */
-async function convertPdfToImages(pdfPath, outputFolder) {
-  try {
-    // Ensure output folder exists and is clean
-    await ensureFolderExists(outputFolder);
-    await cleanFolder(outputFolder);
+function parsePageSelection(expression) {
+  const text = String(expression || '').trim();
+  
+  if (text === '' || text.toLowerCase() === 'all') {
+    return null;
+  }
+  
+  if (text.length > MAX_PAGE_SELECTION_LENGTH) {
+    throw createError(400, `Page selection is too long (at most ${MAX_PAGE_SELECTION_LENGTH} characters)`);
+  }
+  
+  const selection = { expression: text, includes: [], excludes: [], parity: null };
+  // Accept en and em dashes as typed by presentation tools and word processors
+  const terms = text.replace(/[–—]/g, '-').split(/[\s,;]+/).filter(Boolean);
+  
+  for (const term of terms) {
+    const lowerTerm = term.toLowerCase();
     
-    const options = { 
-      outputFolderName: outputFolder, 
-      viewportScale: 2 
-    };
+    if (lowerTerm === 'odd' || lowerTerm === 'even') {
+      if (selection.parity && selection.parity !== lowerTerm) {
+        throw createError(400, 'Page selection cannot ask for both "odd" and "even" pages');
+      }
+      selection.parity = lowerTerm;
+      continue;
+    }
     
-    const pdf = await new PDFToImage().load(pdfPath);
-    console.log(`Processing PDF with ${pdf.document.numPages} pages`);
+    const match = /^(!?)(\d+)(?:(-)(\d*))?$/.exec(term);
+    if (!match) {
+      throw createError(400, `Invalid page selection term "${term}" (use e.g. 5, 5-40, 10-, !12, odd, even)`);
+    }
     
-    await pdf.convert(options);
-    console.log('PDF converted to images successfully');
+    const [, exclude, fromText, dash, toText] = match;
+    const from = parseInt(fromText, 10);
+    const to = dash ? (toText === '' ? null : parseInt(toText, 10)) : from;
     
-  } catch (error) {
-    console.error('PDF conversion error:', error);
-    throw new Error(`Failed to convert PDF: ${error.message}`);
+    if (from < 1) {
+      throw createError(400, `Invalid page selection term "${term}": pages start at 1`);
+    }
+    
+    if (to !== null && to < from) {
+      throw createError(400, `Invalid page selection term "${term}": range end is before its start`);
+    }
+    
+    (exclude ? selection.excludes : selection.includes).push({ from, to });
   }
+  
+  return selection;
 }
 
 /**
- * Applies stage 1 image processing (grayscale, negate, darken)
- * @param {string} inputFolder - Folder containing input images
- * @param {string} outputFolder - Folder to save processed images
+ * Resolves a parsed page selection against the page count of a PDF
+ * @param {object|null} selection - Result of parsePageSelection
+ * @param {number} totalPages - Number of pages in the PDF
+ * @returns {number[]} Selected page numbers, ascending
+ * @throws {Error} HTTP 400 error for out-of-range pages or an empty selection
  */
-async function applyStageOneProcessing(inputFolder, outputFolder) {
-  try {
-    await ensureFolderExists(outputFolder);
-    await cleanFolder(outputFolder);
+function resolvePageSelection(selection, totalPages) {
+  const allPages = Array.from({ length: totalPages }, (value, index) => index + 1);
+  
+  if (!selection) {
+    return allPages;
+  }
+  
+  for (const range of [...selection.includes, ...selection.excludes]) {
+    const lastPage = range.to === null ? range.from : range.to;
     
-    const files = await fs.readdir(inputFolder);
-    const imageFiles = filterImageFiles(files);
+    if (lastPage > totalPages) {
+      throw createError(400, `Page selection "${selection.expression}" refers to page ${lastPage}, but the PDF has only ${totalPages} page(s)`);
+    }
+  }
+  
+  const selectedPages = allPages.filter((page) => isPageSelected(selection, page));
+  
+  if (selectedPages.length === 0) {
+    throw createError(400, `Page selection "${selection.expression}" does not select any page`);
+  }
+  
+  return selectedPages;
+}
+
+/**
+ * Tells whether a parsed page selection includes a page
+ * @param {object} selection - Result of parsePageSelection (not null)
+ * @param {number} page - Page number
+ * @returns {boolean} Whether the page is selected
+ */
+function isPageSelected(selection, page) {
+  const isInRange = (range) => page >= range.from && (range.to === null || page <= range.to);
+  
+  if (selection.includes.length > 0 && !selection.includes.some(isInRange)) {
+    return false;
+  }
+  if (selection.excludes.some(isInRange)) {
+    return false;
+  }
+  if (selection.parity === 'odd' && page % 2 === 0) {
+    return false;
+  }
+  if (selection.parity === 'even' && page % 2 === 1) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Maps items through an async worker with at most `limit` workers running at once
+ * @param {any[]} items - Items to process
+ * @param {number} limit - Maximum number of concurrent workers
+ * @param {function} worker - Async function called with (item, index)
+ * @returns {Promise<any[]>} Results in the order of the items
+ */
+async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  
+  const runWorker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await worker(items[index], index);
+    }
+  };
+  
+  const workerCount = Math.min(limit, items.length);
+  await Promise.all(Array.from({ length: workerCount }, runWorker));
+  
+  return results;
+}
+
+/**
+ * Validates one recipe step and fills in default parameters
+ * @param {string|object} rawStep - Step name or { step, ...params }
+ * @param {number} index - Position of the step in the recipe (0-based)
+ * @returns {object} Normalised step
+ * @throws {Error} HTTP 400 error describing the problem
+ */
+function normalizeRecipeStep(rawStep, index) {
+  const position = `Recipe step ${index + 1}`;
+  const stepObject = typeof rawStep === 'string' ? { step: rawStep } : rawStep;
+  
+  if (!stepObject || typeof stepObject !== 'object' || Array.isArray(stepObject) || typeof stepObject.step !== 'string') {
+    throw createError(400, `${position}: expected a step name or an object with a "step" field`);
+  }
+  
+  const name = RECIPE_STEP_ALIASES[stepObject.step] || stepObject.step;
+  
+  if (!Object.prototype.hasOwnProperty.call(RECIPE_STEPS, name)) {
+    throw createError(400, `${position}: unknown step "${stepObject.step}" (allowed: ${Object.keys(RECIPE_STEPS).join(', ')})`);
+  }
+  
+  const definition = RECIPE_STEPS[name];
+  const normalized = { step: name };
+  
+  for (const key of Object.keys(stepObject)) {
+    if (key !== 'step' && !Object.prototype.hasOwnProperty.call(definition.params, key)) {
+      throw createError(400, `${position} (${name}): unknown parameter "${key}"`);
+    }
+  }
+  
+  for (const [key, limits] of Object.entries(definition.params)) {
+    const value = stepObject[key];
     
-    if (imageFiles.length === 0) {
-      console.log('No images found for stage 1 processing');
-      return;
+    if (value === undefined || value === null || value === '') {
+      if (limits.defaultValue !== null) {
+        normalized[key] = limits.defaultValue;
+      }
+      continue;
     }
     
-    console.log(`Processing ${imageFiles.length} images in stage 1`);
+    const number = Number(value);
+    const kind = limits.integer ? 'an integer' : 'a number';
     
-    // Process each image
-    for (const file of imageFiles) {
-      const inputPath = path.join(inputFolder, file);
-      const outputPath = path.join(outputFolder, file);
-      
-      await sharp(inputPath)
-        .grayscale()           // Convert to grayscale
-        .negate()              // Invert colors
-        .linear(1.3, -50)      // Adjust brightness and darkness
-        .toFile(outputPath);
-      
-      console.log(`Stage 1 processed: ${file}`);
+    if (!Number.isFinite(number) || number < limits.min || number > limits.max ||
+        (limits.integer && !Number.isInteger(number))) {
+      throw createError(400, `${position} (${name}): parameter "${key}" must be ${kind} between ${limits.min} and ${limits.max}`);
     }
     
-  } catch (error) {
-    console.error('Stage 1 processing error:', error);
-    throw new Error(`Stage 1 processing failed: ${error.message}`);
+    normalized[key] = number;
+  }
+  
+  if (name === 'normalise' && normalized.lower >= normalized.upper) {
+    throw createError(400, `${position} (normalise): "lower" must be smaller than "upper"`);
   }
+  
+  return normalized;
 }
 
 /**
- * Applies stage 2 image processing (negate and darken)
- * @param {string} inputFolder - Folder containing stage 1 images
- * @param {string} outputFolder - Folder to save stage 2 images
+ * Validates a processing recipe
+ * @param {object[]|object|string} rawRecipe - Array of steps, { steps: [...] }, or the same as JSON text
+ * @returns {object[]} Normalised steps
+ * @throws {Error} HTTP 400 error describing the problem
  */
-async function applyStageTwoProcessing(inputFolder, outputFolder) {
-  try {
-    await ensureFolderExists(outputFolder);
-    await cleanFolder(outputFolder);
-    
-    const files = await fs.readdir(inputFolder);
-    const imageFiles = filterImageFiles(files);
-    
-    if (imageFiles.length === 0) {
-      console.log('No images found for stage 2 processing');
-      return;
+function normalizeRecipe(rawRecipe) {
+  let recipe = rawRecipe;
+  
+  if (typeof recipe === 'string') {
+    try {
+      recipe = JSON.parse(recipe);
+    } catch (error) {
+      throw createError(400, `Recipe is not valid JSON: ${error.message}`);
     }
+  }
+  
+  const steps = Array.isArray(recipe) ? recipe : recipe && recipe.steps;
+  
+  if (!Array.isArray(steps)) {
+    throw createError(400, 'Recipe must be an array of steps or an object with a "steps" array');
+  }
+  
+  if (steps.length > MAX_RECIPE_STEPS) {
+    throw createError(400, `Recipe can have at most ${MAX_RECIPE_STEPS} steps`);
+  }
+  
+  return steps.map(normalizeRecipeStep);
+}
+
+/**
+ * Splits recipe steps into sharp passes that keep the order of the recipe.
+ * A new pass starts whenever sharp would otherwise run a step before one listed earlier,
+ * and after steps that must end their pass.
+ * @param {object[]} steps - Normalised recipe steps
+ * @returns {object[][]} Steps grouped per sharp call
+ */
+function splitRecipeIntoPasses(steps) {
+  const passes = [];
+  let currentPass = null;
+  let lastOrder = Infinity;
+  
+  for (const step of steps) {
+    const order = RECIPE_STEPS[step.step].order;
     
-    console.log(`Processing ${imageFiles.length} images in stage 2`);
-    
-    for (const file of imageFiles) {
-      const inputPath = path.join(inputFolder, file);
-      const outputPath = path.join(outputFolder, file);
-      
-      await sharp(inputPath)
-        .negate()              // Invert colors
-        .linear(1.2, -30)      // Adjust brightness
-        .toFile(outputPath);
-      
-      console.log(`Stage 2 processed: ${file}`);
+    if (order <= lastOrder) {
+      currentPass = [];
+      passes.push(currentPass);
     }
     
-  } catch (error) {
-    console.error('Stage 2 processing error:', error);
-    throw new Error(`Stage 2 processing failed: ${error.message}`);
+    currentPass.push(step);
+    lastOrder = RECIPE_STEPS[step.step].endsPass ? Infinity : order;
   }
+  
+  return passes;
+}
+
+/**
+ * Checks that a saved recipe name is safe to use as a file name
+ * @param {string} name - Recipe name
+ * @returns {boolean} Whether the name is valid
+ */
+function isValidRecipeName(name) {
+  return /^[a-z0-9_-]{1,64}$/i.test(String(name));
 }
 
 /**
- * Applies final stage image processing
- * @param {string} inputFolder - Folder containing stage 2 images
- * @param {string} outputFolder - Folder to save final images
+ * Reads a saved recipe from the recipes folder
+ * @param {string} name - Recipe name (file name without .json)
+ * @returns {Promise<object|null>} Recipe, or null if there is no such file
  */
-async function applyFinalProcessing(inputFolder, outputFolder) {
+async function loadSavedRecipe(name) {
+  if (!isValidRecipeName(name)) {
+    return null;
+  }
+  
+  let content;
   try {
-    await ensureFolderExists(outputFolder);
-    await cleanFolder(outputFolder);
-    
-    const files = await fs.readdir(inputFolder);
-    const imageFiles = filterImageFiles(files);
-    
-    if (imageFiles.length === 0) {
-      console.log('No images found for final processing');
-      return;
-    }
-    
-    console.log(`Processing ${imageFiles.length} images in final stage`);
-    
-    for (const file of imageFiles) {
-      const inputPath = path.join(inputFolder, file);
-      const outputPath = path.join(outputFolder, file);
-      
-      await sharp(inputPath)
-        .negate()              // Invert colors
-        .linear(1.5, -30)      // Adjust brightness
-        .toFile(outputPath);
-      
-      console.log(`Final stage processed: ${file}`);
+    content = await fs.readFile(path.join(RECIPES_FOLDER, `${name}.json`), 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
     }
-    
+    throw error;
+  }
+  
+  let recipe;
+  try {
+    recipe = JSON.parse(content);
+    recipe = { ...recipe, steps: normalizeRecipe(recipe) };
   } catch (error) {
-    console.error('Final processing error:', error);
-    throw new Error(`Final processing failed: ${error.message}`);
+    throw createError(500, `Saved recipe "${name}" is invalid: ${error.message}`);
   }
+  
+  return {
+    id: name,
+    label: recipe.label || name,
+    description: recipe.description || '',
+    source: 'saved',
+    steps: recipe.steps
+  };
 }
 
 /**
- * Creates PDF from processed images
- * @param {string} imagesFolder - Folder containing final images
- * @param {number} columns - Number of columns in the grid
- * @param {number} rows - Number of rows in the grid
+ * Lists the saved recipes in the recipes folder, skipping invalid files
+ * @returns {Promise<object[]>} Saved recipes
  */
-async function createPdfFromImages(imagesFolder, columns, rows) {
+async function listSavedRecipes() {
+  let files;
   try {
-    const files = await fs.readdir(imagesFolder);
-    const imageFiles = filterImageFiles(files);
-    
-    if (imageFiles.length === 0) {
-      throw new Error('No images found to create PDF');
+    files = await fs.readdir(RECIPES_FOLDER);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
     }
-    
-    // Sort files to maintain order
-    imageFiles.sort();
-    
-    const imageWidth = A4_WIDTH / columns;
-    const imageHeight = (A4_HEIGHT / rows) * 0.9; // 90% of row height for spacing
-    const padding = 4;
-    
-    // Create a new PDF document
-    const pdfDocument = new PDFDocument({ autoFirstPage: false });
-    const writeStream = fsSync.createWriteStream(FINAL_PDF_PATH);
-    
-    pdfDocument.pipe(writeStream);
-    
-    let currentX = 0;
-    let currentY = 0;
-    let imageCount = 0;
-    
-    for (const file of imageFiles) {
-      // Add new page when current one is full
-      if (imageCount % (columns * rows) === 0) {
-        pdfDocument.addPage({ size: [A4_WIDTH, A4_HEIGHT] });
-        currentX = 0;
-        currentY = 0;
-      }
-      
-      const imagePath = path.join(imagesFolder, file);
-      
-      try {
-        // Add image to PDF with padding
-        pdfDocument.image(
-          imagePath,
-          currentX + padding,
-          currentY + padding,
-          {
-            fit: [imageWidth - 2 * padding, imageHeight - 2 * padding]
-          }
-        );
-      } catch (imageError) {
-        console.warn(`Using fallback for image: ${file}`, imageError.message);
-        // Fallback method if the first approach fails
-        pdfDocument.image(imagePath, currentX, currentY, {
-          width: imageWidth,
-          height: imageHeight
-        });
-      }
-      
-      // Draw border around image
-      pdfDocument.save();
-      pdfDocument.lineWidth(1);
-      pdfDocument.strokeColor('black');
-      pdfDocument.rect(currentX, currentY, imageWidth, imageHeight).stroke();
-      pdfDocument.restore();
-      
-      // Add page number
-      pdfDocument.fontSize(6)
-        .fillColor('black')
-        .text(
-          (imageCount + 1).toString(),
-          currentX + imageWidth - 15,
-          currentY + imageHeight - 15
-        );
-      
-      // Move to next position
-      currentX += imageWidth;
-      if ((imageCount + 1) % columns === 0) {
-        currentX = 0;
-        currentY += imageHeight;
+    throw error;
+  }
+  
+  const recipes = [];
+  
+  for (const file of files.filter((name) => path.extname(name) === '.json').sort()) {
+    try {
+      const recipe = await loadSavedRecipe(path.basename(file, '.json'));
+      if (recipe) {
+        recipes.push(recipe);
       }
-      
-      imageCount++;
+    } catch (error) {
+      console.warn(`Skipping saved recipe ${file}:`, error.message);
     }
-    
-    pdfDocument.end();
-    
-    // Wait for PDF to finish writing
-    await new Promise((resolve, reject) => {
-      writeStream.on('finish', resolve);
-      writeStream.on('error', reject);
-    });
-    
-    console.log(`PDF created successfully with ${imageCount} images`);
-    
-  } catch (error) {
-    console.error('PDF creation error:', error);
-    throw new Error(`Failed to create PDF: ${error.message}`);
   }
+  
+  return recipes;
 }
 
 /**
- * Main processing pipeline
- * @param {string} pdfFilePath - Path to uploaded PDF file
- * @param {string} rowParam - Rows parameter from request
- * @param {string} columnParam - Columns parameter from request
+ * Looks up a built-in preset or saved recipe by name
+ * @param {string} [presetId] - Preset or recipe name, DEFAULT_PRESET when empty
+ * @returns {Promise<object|null>} Preset with its ID and steps, or null if unknown
  */
-async function processPdfPipeline(pdfFilePath, rowParam, columnParam) {
-  console.log('Starting PDF processing pipeline...');
+async function findPreset(presetId) {
+  const id = presetId || DEFAULT_PRESET;
   
-  try {
-    // Step 1: Convert PDF to images
-    console.log('Step 1: Converting PDF to images');
-    await convertPdfToImages(pdfFilePath, TEMP_UPLOAD_FOLDER);
-    
-    // Step 2: Apply stage 1 processing
-    console.log('Step 2: Applying stage 1 processing');
-    await applyStageOneProcessing(TEMP_UPLOAD_FOLDER, STAGE_1_FOLDER);
-    
-    // Step 3: Apply stage 2 processing
-    console.log('Step 3: Applying stage 2 processing');
-    await applyStageTwoProcessing(STAGE_1_FOLDER, STAGE_2_FOLDER);
-    
-    // Step 4: Apply final processing
-    console.log('Step 4: Applying final processing');
-    await applyFinalProcessing(STAGE_2_FOLDER, FINAL_FOLDER);
-    
-    // Step 5: Validate and set layout parameters
-    const columns = validateInteger(columnParam, 1, MAX_COLUMNS, DEFAULT_COLUMNS);
-    const rows = validateInteger(rowParam, 1, MAX_ROWS, DEFAULT_ROWS);
-    
-    console.log(`Step 5: Creating PDF with ${rows} rows x ${columns} columns`);
-    
-    // Step 6: Create final PDF
-    await createPdfFromImages(FINAL_FOLDER, columns, rows);
-    
-    // Step 7: Clean up temporary folders
-    console.log('Step 7: Cleaning up temporary folders');
-    await Promise.all([
-      removeFolder(TEMP_UPLOAD_FOLDER),
-      removeFolder(STAGE_1_FOLDER),
-      removeFolder(STAGE_2_FOLDER),
-      removeFolder(FINAL_FOLDER)
-    ]);
-    
-    console.log('PDF processing pipeline completed successfully');
-    
-  } catch (error) {
-    // Attempt to clean up on error
-    console.error('Pipeline error, attempting cleanup...');
-    await Promise.all([
-      removeFolder(TEMP_UPLOAD_FOLDER).catch(() => {}),
-      removeFolder(STAGE_1_FOLDER).catch(() => {}),
-      removeFolder(STAGE_2_FOLDER).catch(() => {}),
-      removeFolder(FINAL_FOLDER).catch(() => {})
-    ]);
-    
-    throw error; // Re-throw for caller to handle
+  if (Object.prototype.hasOwnProperty.call(PROCESSING_PRESETS, id)) {
+    return { id, source: 'builtin', ...PROCESSING_PRESETS[id] };
   }
+  
+  return loadSavedRecipe(id);
 }
 
-// =======================
-// 7. EXPRESS APPLICATION SETUP
-// =======================
-const app = express();
-
-// Set up view engine (Jade/Pug)
-app.set('views', path.join(__dirname, 'views'));
-app.set('view engine', 'jade');
+/**
+ * Adds processing operations to a sharp pipeline
+ * @param {object} image - sharp instance
+ * @param {object[]} operations - Normalised recipe steps of one pass (see splitRecipeIntoPasses)
+ * @returns {object} The same sharp instance
+ */
+function applyImageOperations(image, operations) {
+  for (const operation of operations) {
+    switch (operation.step) {
+      case 'gamma':
+        // No pre-resize darkening, only the gamma curve itself
+        image.gamma(1, operation.value);
+        break;
+      case 'grayscale':
+        image.grayscale();
+        break;
+      case 'median':
+        image.median(operation.size);
+        break;
+      case 'threshold':
+        image.threshold(operation.level);
+        break;
+      case 'sharpen':
+        if (operation.sigma === undefined) {
+          image.sharpen();
+        } else {
+          image.sharpen({ sigma: operation.sigma });
+        }
+        break;
+      case 'linear':
+        image.linear(operation.a, operation.b);
+        break;
+      case 'normalise':
+        image.normalise({ lower: operation.lower, upper: operation.upper });
+        break;
+      case 'negate':
+        image.negate();
+        break;
+      default:
+        throw new Error(`Unknown processing step: ${operation.step}`);
+    }
+  }
+  
+  return image;
+}
+
+/**
+ * Generates a unique identifier for a processing job
+ * @returns {string} Job ID
+ */
+function generateJobId() {
+  return crypto.randomUUID();
+}
+
+/**
+ * Builds the isolated workspace paths for a job
+ * @param {string} jobId - Job ID
+ * @returns {object} Workspace folder and file paths
+ */
+function getJobWorkspace(jobId) {
+  const root = path.join(JOBS_FOLDER, jobId);
+
+  return {
+    jobId,
+    root,
+    finalPdfPath: path.join(root, FINAL_PDF_NAME)
+  };
+}
+
+/**
+ * Creates the workspace folder for a job
+ * @param {string} jobId - Job ID
+ * @returns {Promise<object>} Workspace folder and file paths
+ */
+async function createJobWorkspace(jobId) {
+  const workspace = getJobWorkspace(jobId);
+  await ensureFolderExists(workspace.root);
+  return workspace;
+}
+
+/**
+ * Removes everything that belongs to a job
+ * @param {object} workspace - Job workspace
+ */
+async function removeJobWorkspace(workspace) {
+  await removeFolder(workspace.root);
+}
+
+/**
+ * Lists the entries of a folder with their total size on disk
+ * @param {string} folderPath - Folder to scan
+ * @returns {Promise<object[]>} Entries ({ name, path, size, modifiedAt }); none if the folder is missing
+ */
+async function listFolderEntries(folderPath) {
+  let names;
+  
+  try {
+    names = await fs.readdir(folderPath);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`Failed to read folder ${folderPath}:`, error.message);
+    }
+    return [];
+  }
+  
+  const entries = [];
+  for (const name of names) {
+    const entryPath = path.join(folderPath, name);
+    const stats = await fs.stat(entryPath).catch(() => null);
+    
+    if (stats) {
+      const size = stats.isDirectory()
+        ? (await listFolderEntries(entryPath)).reduce((total, entry) => total + entry.size, 0)
+        : stats.size;
+      entries.push({ name, path: entryPath, size, modifiedAt: stats.mtimeMs });
+    }
+  }
+  
+  return entries;
+}
+
+// Cached pages by key, least recently used first: { type, size, storedAt }
+const pageCacheIndex = new Map();
+let pageCacheSize = 0;
+
+/**
+ * Hashes the content of a file
+ * @param {string} filePath - File to hash
+ * @returns {Promise<string>} SHA-256 hex digest
+ */
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fsSync.createReadStream(filePath)
+      .on('data', (chunk) => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+}
+
+/**
+ * Builds a page cache key from everything that determines the cached image
+ * @param {...any} parts - Key parts (stage, content hash, page, settings)
+ * @returns {string} SHA-256 hex digest
+ */
+function getPageCacheKey(...parts) {
+  return crypto.createHash('sha256').update(parts.join('\n')).digest('hex');
+}
+
+/**
+ * Builds the path of a cached page
+ * @param {string} key - Page cache key
+ * @param {string} type - Image type (file extension)
+ * @returns {string} File path in the cache folder
+ */
+function getPageCachePath(key, type) {
+  return path.join(CACHE_FOLDER, `${key}.${type}`);
+}
+
+/**
+ * Forgets a cached page and deletes its file
+ * @param {string} key - Page cache key
+ */
+async function removeCachedPage(key) {
+  const entry = pageCacheIndex.get(key);
+  if (!entry) {
+    return;
+  }
+  
+  pageCacheIndex.delete(key);
+  pageCacheSize -= entry.size;
+  await removeFile(getPageCachePath(key, entry.type));
+}
+
+/**
+ * Reads a page from the cache
+ * @param {string} key - Page cache key
+ * @returns {Promise<object|null>} Page image ({ type, content }), null on a miss
+ */
+async function readCachedPage(key) {
+  const entry = pageCacheIndex.get(key);
+  if (!entry) {
+    return null;
+  }
+  
+  if (Date.now() - entry.storedAt > PAGE_CACHE_MAX_AGE) {
+    await removeCachedPage(key);
+    return null;
+  }
+  
+  try {
+    const content = await fs.readFile(getPageCachePath(key, entry.type));
+    
+    // Most recently used pages move to the end of the index
+    pageCacheIndex.delete(key);
+    pageCacheIndex.set(key, entry);
+    
+    return { type: entry.type, content };
+  } catch (error) {
+    console.warn(`Dropping unreadable cached page ${key}:`, error.message);
+    await removeCachedPage(key);
+    return null;
+  }
+}
+
+/**
+ * Stores a page in the cache, then evicts pages until the cache fits its size again.
+ * The cache only saves work, so failures are logged and otherwise ignored.
+ * @param {string} key - Page cache key
+ * @param {string} type - Image type (file extension)
+ * @param {Buffer} content - Image data
+ */
+async function writeCachedPage(key, type, content) {
+  if (content.length > PAGE_CACHE_MAX_SIZE) {
+    return;
+  }
+  
+  try {
+    await ensureFolderExists(CACHE_FOLDER);
+    await removeCachedPage(key);
+    await fs.writeFile(getPageCachePath(key, type), content);
+    
+    pageCacheIndex.set(key, { type, size: content.length, storedAt: Date.now() });
+    pageCacheSize += content.length;
+    
+    await evictCachedPages();
+  } catch (error) {
+    console.warn(`Failed to cache page ${key}:`, error.message);
+  }
+}
+
+/**
+ * Removes expired pages, then the least recently used ones while the cache is larger than maxSize
+ * @param {number} [maxSize] - Cache size to get down to, in bytes
+ * @returns {Promise<object>} What was removed ({ pages, size })
+ */
+async function evictCachedPages(maxSize = PAGE_CACHE_MAX_SIZE) {
+  const currentTime = Date.now();
+  const sizeBefore = pageCacheSize;
+  const countBefore = pageCacheIndex.size;
+  
+  for (const [key, entry] of pageCacheIndex) {
+    if (currentTime - entry.storedAt > PAGE_CACHE_MAX_AGE) {
+      await removeCachedPage(key);
+    }
+  }
+  
+  for (const key of pageCacheIndex.keys()) {
+    if (pageCacheSize <= maxSize) {
+      break;
+    }
+    await removeCachedPage(key);
+  }
+  
+  return { pages: countBefore - pageCacheIndex.size, size: sizeBefore - pageCacheSize };
+}
+
+/**
+ * Rebuilds the page cache index from the cache folder after a restart.
+ * Pages count as used when they were stored, oldest first.
+ */
+async function loadPageCacheIndex() {
+  if (PAGE_CACHE_MAX_SIZE === 0) {
+    return; // Switched off: leave pages of other configurations alone
+  }
+  
+  let entries;
+  
+  try {
+    entries = await fs.readdir(CACHE_FOLDER);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`Failed to read folder ${CACHE_FOLDER}:`, error.message);
+    }
+    return;
+  }
+  
+  const files = [];
+  for (const entry of entries) {
+    const [key, type] = entry.split('.');
+    const stats = await fs.stat(path.join(CACHE_FOLDER, entry)).catch(() => null);
+    
+    if (stats && type && !pageCacheIndex.has(key)) {
+      files.push({ key, type, size: stats.size, storedAt: stats.mtimeMs });
+    }
+  }
+  
+  files.sort((first, second) => first.storedAt - second.storedAt);
+  for (const { key, type, size, storedAt } of files) {
+    pageCacheIndex.set(key, { type, size, storedAt });
+    pageCacheSize += size;
+  }
+  
+  await evictCachedPages();
+  console.log(`Page cache: ${pageCacheIndex.size} page(s), ${(pageCacheSize / 1024 / 1024).toFixed(1)} MB`);
+}
+
+// =======================
+// 6. IMAGE PROCESSING FUNCTIONS
+// =======================
+
+/**
+ * Loads an uploaded image as a single page.
+ * Photos are turned upright, and formats pdfkit cannot embed (WebP) become PNG.
+ * @param {string} imagePath - Path to the image file
+ * @returns {Promise<object>} Page image ({ type, content })
+ */
+async function loadImagePage(imagePath) {
+  const image = sharp(imagePath).rotate();
+  const { format } = await image.metadata();
+  const type = format === 'jpeg' ? 'jpeg' : 'png';
+  
+  return { type, content: await image.toFormat(type).toBuffer() };
+}
+
+/**
+ * Reads the text of a PDF page with its position, so the composed handout can carry it as
+ * an invisible text layer. Positions are relative to the rendered page: x and y (the start
+ * of the baseline) from its top left corner as a share of its width and height, size and
+ * width as a share of its width, angle in degrees clockwise.
+ * @param {PDFToImage} pdf - Loaded PDF
+ * @param {number} pageNumber - Page in this PDF (1-based)
+ * @returns {Promise<object[]|null>} Text items ({ text, x, y, size, width, angle }), null if unreadable
+ */
+async function extractPageText(pdf, pageNumber) {
+  try {
+    const page = await pdf.document.getPage(pageNumber);
+    const viewport = page.getViewport({ scale: 1 });
+    const { items } = await page.getTextContent();
+    
+    return items.filter((item) => item.str && item.str.trim()).map((item) => {
+      const [scaleX, skewY, skewX, scaleY, originX, originY] = item.transform;
+      const direction = Math.hypot(scaleX, skewY) || 1;
+      // The viewport turns PDF coordinates (origin bottom left) into page coordinates, rotation included
+      const [x, y] = viewport.convertToViewportPoint(originX, originY);
+      const [endX, endY] = viewport.convertToViewportPoint(
+        originX + (scaleX / direction) * item.width,
+        originY + (skewY / direction) * item.width
+      );
+      
+      return {
+        text: item.str,
+        x: x / viewport.width,
+        y: y / viewport.height,
+        size: Math.hypot(skewX, scaleY) / viewport.width,
+        width: Math.hypot(endX - x, endY - y) / viewport.width,
+        angle: (Math.atan2(endY - y, endX - x) * 180) / Math.PI
+      };
+    });
+  } catch (error) {
+    console.warn(`Could not read the text of page ${pageNumber}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Renders the selected pages of the uploaded files to image buffers.
+ * The files form one continuous document in upload order; every image is one page.
+ * PDF pages rendered before (for a file with the same content) come from the page cache.
+ * @param {object[]} sources - Uploaded files in order ({ path, name, kind: 'pdf' | 'image' })
+ * @param {object|null} [pageSelection] - Parsed page selection (see parsePageSelection), null for all pages
+ * @param {function} [onPageProgress] - Called with (pagesDone, totalPages) after each page
+ * @param {number} [pageLimit] - Render no more than the first this many selected pages
+ * @param {number} [renderScale] - Pixels per point of the rendered PDF pages
+ * @returns {Promise<object[]>} Pages in document order: { pageNumber, sourceIndex, type, content, textItems,
+ *   cacheKey, fromCache }, textItems being null for images (see extractPageText)
+ */
+async function renderSourcePages(
+  sources,
+  pageSelection = null,
+  onPageProgress = () => {},
+  pageLimit = Infinity,
+  renderScale = RENDER_VIEWPORT_SCALE
+) {
+  // Open every file first: the page selection counts pages across all of them
+  const documents = [];
+  
+  try {
+    let documentPageCount = 0;
+    
+    for (const source of sources) {
+      const pdf = source.kind === 'pdf' ? await openPdfSource(source) : null;
+      const pageCount = pdf ? pdf.document.numPages : 1;
+      const contentHash = await hashFile(source.path);
+      documents.push({ source, pdf, contentHash, firstPage: documentPageCount + 1, pageCount });
+      documentPageCount += pageCount;
+    }
+    
+    const selectedPages = resolvePageSelection(pageSelection, documentPageCount).slice(0, pageLimit);
+    const totalPages = selectedPages.length;
+    console.log(`Processing ${totalPages} of ${documentPageCount} pages from ${sources.length} file(s)`);
+    onPageProgress(0, totalPages);
+    
+    let pagesDone = 0;
+    const renderedPages = [];
+    
+    for (const [sourceIndex, { source, pdf, contentHash, firstPage, pageCount }] of documents.entries()) {
+      const localPages = selectedPages
+        .filter((pageNumber) => pageNumber >= firstPage && pageNumber < firstPage + pageCount)
+        .map((pageNumber) => pageNumber - firstPage + 1);
+      const getCacheKey = (localPage) => getPageCacheKey('rendered', contentHash, localPage, renderScale);
+      
+      if (localPages.length === 0) {
+        continue;
+      }
+      
+      if (!pdf) {
+        // Images load quickly, so only their processed versions are cached
+        const { type, content } = await loadImagePage(source.path);
+        renderedPages.push({
+          pageNumber: firstPage,
+          sourceIndex,
+          type,
+          content,
+          textItems: null,
+          cacheKey: getCacheKey(1),
+          fromCache: null
+        });
+        pagesDone++;
+        onPageProgress(pagesDone, totalPages);
+        continue;
+      }
+      
+      const missingPages = [];
+      for (const localPage of localPages) {
+        const cachedPage = await readCachedPage(getCacheKey(localPage));
+        
+        if (cachedPage) {
+          renderedPages.push({
+            pageNumber: firstPage + localPage - 1,
+            sourceIndex,
+            ...cachedPage,
+            textItems: await extractPageText(pdf, localPage),
+            cacheKey: getCacheKey(localPage),
+            fromCache: true
+          });
+          pagesDone++;
+          onPageProgress(pagesDone, totalPages);
+        } else {
+          missingPages.push(localPage);
+        }
+      }
+      
+      if (missingPages.length === 0) {
+        continue;
+      }
+      
+      const options = {
+        viewportScale: renderScale,
+        pages: missingPages,
+        includeBufferContent: true // Keep the images in memory instead of writing them to disk
+      };
+      
+      pdf.on('progress', () => {
+        pagesDone++;
+        onPageProgress(pagesDone, totalPages);
+      });
+      
+      const pages = await pdf.convert(options);
+      
+      for (const page of pages) {
+        const cacheKey = getCacheKey(page.pageIndex);
+        await writeCachedPage(cacheKey, page.type, page.content);
+        
+        renderedPages.push({
+          pageNumber: firstPage + page.pageIndex - 1,
+          sourceIndex,
+          type: page.type,
+          content: page.content,
+          textItems: await extractPageText(pdf, page.pageIndex),
+          cacheKey,
+          fromCache: false
+        });
+      }
+    }
+    
+    console.log('Files converted to images successfully');
+    return renderedPages.sort((first, second) => first.pageNumber - second.pageNumber);
+    
+  } catch (error) {
+    // Problems with the request itself (such as the page selection) keep their HTTP status
+    if (error.status) {
+      throw error;
+    }
+    
+    console.error('PDF conversion error:', error);
+    throw new Error(`Failed to convert PDF: ${error.message}`);
+  } finally {
+    // Release the parsed documents, which PDF.js would otherwise keep for the life of the server
+    await Promise.all(documents.filter(({ pdf }) => pdf).map(({ pdf }) => pdf.document.destroy()));
+  }
+}
+
+/**
+ * Runs a processing recipe over one rendered page.
+ * Every pass re-encodes in the page's own format, as the stage files on disk used to.
+ * @param {object} page - Rendered page ({ pageNumber, type, content })
+ * @param {object[][]} passes - Recipe steps grouped per sharp call (see splitRecipeIntoPasses)
+ * @returns {Promise<object>} Processed page with the same shape
+ */
+async function processPageImage(page, passes) {
+  let content = page.content;
+  
+  for (const operations of passes) {
+    content = await applyImageOperations(sharp(content), operations)
+      .toFormat(page.type)
+      .toBuffer();
+  }
+  
+  return { ...page, content };
+}
+
+/**
+ * Picks the steps of a recipe that run on pages left uninverted.
+ * Recipes without a negate step do not invert, so they run in full.
+ * @param {object[]} steps - Normalised recipe steps
+ * @returns {object[]} Steps without the inversion steps (see INVERSION_STEPS)
+ */
+function getUninvertedSteps(steps) {
+  if (!steps.some((step) => step.step === 'negate')) {
+    return steps;
+  }
+  
+  return steps.filter((step) => !INVERSION_STEPS.includes(step.step));
+}
+
+/**
+ * Runs a processing recipe over rendered pages, a bounded number of pages at a time.
+ * Pages that went through the same recipe before come from the page cache.
+ * @param {object[]} pages - Rendered pages in document order
+ * @param {object[]} steps - Normalised recipe steps
+ * @param {function} [onPageProgress] - Called with (pagesDone, totalPages) as pages finish
+ * @param {Set<number>|null} [invertedPages] - Pages that get the recipe's inversion steps; null for all pages
+ * @returns {Promise<object[]>} Processed pages in the same order, fromCache telling whether the recipe ran
+ */
+async function processPageImages(pages, steps, onPageProgress = () => {}, invertedPages = null) {
+  try {
+    const keptSteps = getUninvertedSteps(steps);
+    const recipes = [steps, keptSteps].map((recipeSteps) => ({
+      passes: splitRecipeIntoPasses(recipeSteps),
+      key: JSON.stringify(recipeSteps)
+    }));
+    console.log(`Processing ${pages.length} images in ${recipes[0].passes.length} pass(es)`);
+    onPageProgress(0, pages.length);
+    
+    let pagesDone = 0;
+    const processedPages = await mapWithConcurrency(pages, PAGE_PROCESSING_CONCURRENCY, async (page) => {
+      const { passes, key: recipeKey } = !invertedPages || invertedPages.has(page.pageNumber) ? recipes[0] : recipes[1];
+      const cacheKey = page.cacheKey && getPageCacheKey('processed', page.cacheKey, recipeKey);
+      const cachedPage = cacheKey ? await readCachedPage(cacheKey) : null;
+      let processedPage;
+      
+      if (cachedPage) {
+        processedPage = { ...page, content: cachedPage.content, fromCache: true };
+      } else {
+        processedPage = { ...await processPageImage(page, passes), fromCache: false };
+        if (cacheKey) {
+          await writeCachedPage(cacheKey, page.type, processedPage.content);
+        }
+      }
+      
+      pagesDone++;
+      onPageProgress(pagesDone, pages.length);
+      return processedPage;
+    });
+    
+    return processedPages;
+    
+  } catch (error) {
+    console.error('Image processing error:', error);
+    throw new Error(`Image processing failed: ${error.message}`);
+  }
+}
+
+/**
+ * Measures how much of a page is dark, from its luminance histogram
+ * @param {Buffer} content - Image data
+ * @returns {Promise<number>} Share of dark pixels, from 0 to 1
+ */
+async function measureDarkShare(content) {
+  const { data, info } = await sharp(content)
+    .resize({ width: LUMINANCE_SAMPLE_WIDTH, withoutEnlargement: true })
+    .grayscale()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  
+  const histogram = new Uint32Array(256);
+  for (let index = 0; index < data.length; index += info.channels) {
+    histogram[data[index]]++;
+  }
+  
+  const pixelCount = info.width * info.height;
+  const darkPixels = histogram.slice(0, DARK_PIXEL_LUMINANCE).reduce((total, count) => total + count, 0);
+  return darkPixels / pixelCount;
+}
+
+/**
+ * Decides per page whether the recipe's inversion steps run: forced pages first,
+ * then in "auto" mode only pages with a dark background
+ * @param {object[]} pages - Rendered pages ({ pageNumber, content })
+ * @param {object} inversion - Inversion settings (see getInversionFromRequest)
+ * @returns {Promise<object[]>} Decisions in page order ({ page, darkShare, inverted, reason })
+ */
+async function decidePageInversions(pages, inversion) {
+  return mapWithConcurrency(pages, PAGE_PROCESSING_CONCURRENCY, async (page) => {
+    const decision = { page: page.pageNumber, darkShare: null, inverted: true, reason: 'always' };
+    
+    if (inversion.keepPages && isPageSelected(inversion.keepPages, page.pageNumber)) {
+      return { ...decision, inverted: false, reason: 'forced' };
+    }
+    if (inversion.invertPages && isPageSelected(inversion.invertPages, page.pageNumber)) {
+      return { ...decision, reason: 'forced' };
+    }
+    if (inversion.mode !== 'auto') {
+      return decision;
+    }
+    
+    const darkShare = await measureDarkShare(page.content);
+    return {
+      ...decision,
+      darkShare: Math.round(darkShare * 1000) / 1000,
+      inverted: darkShare > DARK_PAGE_SHARE,
+      reason: darkShare > DARK_PAGE_SHARE ? 'dark' : 'light'
+    };
+  });
+}
+
+/**
+ * Samples a page for build-up comparison: a small blurred grayscale copy and its background level
+ * @param {Buffer} content - Image data
+ * @returns {Promise<object>} Sample ({ data, background, aspectRatio })
+ */
+async function sampleBuildPage(content) {
+  const image = sharp(content);
+  const { width, height } = await image.metadata();
+  // The blur keeps anti-aliasing and compression noise from counting as changes
+  const data = await image
+    .resize({ width: DEDUPE_SAMPLE_SIZE, height: DEDUPE_SAMPLE_SIZE, fit: 'fill' })
+    .grayscale()
+    .blur(1)
+    .raw()
+    .toBuffer();
+  
+  // The most common level is taken as the slide background
+  const histogram = new Uint32Array(256);
+  for (const level of data) {
+    histogram[level]++;
+  }
+  const background = histogram.indexOf(Math.max(...histogram));
+  
+  return { data, background, aspectRatio: width / height };
+}
+
+/**
+ * Scores how far a page is from being an earlier build step of the next one. A build step
+ * only adds content, so the score is the share of the earlier page's content (pixels away
+ * from its background) that changed; pages of another shape or background score 100.
+ * @param {object} earlier - Sample of the earlier page (see sampleBuildPage)
+ * @param {object} later - Sample of the following page
+ * @returns {number} Difference in percent, from 0 to 100
+ */
+function measureBuildDifference(earlier, later) {
+  if (Math.abs(earlier.aspectRatio - later.aspectRatio) > 0.01 ||
+      Math.abs(earlier.background - later.background) > DEDUPE_PIXEL_TOLERANCE) {
+    return 100;
+  }
+  
+  let contentPixels = 0;
+  let changedPixels = 0;
+  for (let index = 0; index < earlier.data.length; index++) {
+    if (Math.abs(earlier.data[index] - earlier.background) > DEDUPE_PIXEL_TOLERANCE) {
+      contentPixels++;
+      if (Math.abs(earlier.data[index] - later.data[index]) > DEDUPE_PIXEL_TOLERANCE) {
+        changedPixels++;
+      }
+    }
+  }
+  
+  return contentPixels === 0 ? 0 : (changedPixels / contentPixels) * 100;
+}
+
+/**
+ * Drops the intermediate steps of animation build-ups, keeping the final page of each
+ * sequence. Only consecutive pages of the same file are compared.
+ * @param {object[]} pages - Rendered pages in document order ({ pageNumber, sourceIndex, content })
+ * @param {object|null} dedupe - Dedupe settings ({ threshold }), null to keep every page
+ * @returns {Promise<object>} Kept pages and the report ({ pages, dropped: [{ page, keptPage, difference }] })
+ */
+async function dedupeBuildPages(pages, dedupe) {
+  if (!dedupe || pages.length < 2) {
+    return { pages, dropped: [] };
+  }
+  
+  const samples = await mapWithConcurrency(pages, PAGE_PROCESSING_CONCURRENCY, (page) => sampleBuildPage(page.content));
+  const keptPages = [];
+  const dropped = [];
+  
+  pages.forEach((page, index) => {
+    const nextPage = pages[index + 1];
+    if (nextPage && nextPage.sourceIndex === page.sourceIndex) {
+      const difference = measureBuildDifference(samples[index], samples[index + 1]);
+      if (difference <= dedupe.threshold) {
+        dropped.push({ page: page.pageNumber, keptPage: null, difference: Math.round(difference * 100) / 100 });
+        return;
+      }
+    }
+    
+    // This page ends any build sequence before it
+    for (let position = dropped.length - 1; position >= 0 && dropped[position].keptPage === null; position--) {
+      dropped[position].keptPage = page.pageNumber;
+    }
+    keptPages.push(page);
+  });
+  
+  if (dropped.length > 0) {
+    console.log(`Dropped ${dropped.length} build-up page(s): ${dropped.map((entry) => entry.page).join(', ')}`);
+  }
+  return { pages: keptPages, dropped };
+}
+
+/**
+ * Collects the pages whose decision was to invert
+ * @param {object[]} inversions - Decisions returned by decidePageInversions
+ * @returns {Set<number>} Page numbers that get the inversion steps
+ */
+function getInvertedPages(inversions) {
+  return new Set(inversions.filter((decision) => decision.inverted).map((decision) => decision.page));
+}
+
+/**
+ * Reads the colour of the top left pixel, which auto-crop and deskew take as the border colour
+ * @param {Buffer} content - Image data
+ * @returns {Promise<object>} Colour ({ r, g, b })
+ */
+async function getBorderColor(content) {
+  const { data, info } = await sharp(content)
+    .extract({ left: 0, top: 0, width: 1, height: 1 })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  
+  return info.channels < 3
+    ? { r: data[0], g: data[0], b: data[0] }
+    : { r: data[0], g: data[1], b: data[2] };
+}
+
+/**
+ * Measures how far the lines of a page are rotated, by finding the angle at which
+ * the dark (or, on dark pages, light) pixels line up into the sharpest rows
+ * @param {Buffer} content - Image data
+ * @returns {Promise<number>} Clockwise rotation that straightens the page, in degrees
+ */
+async function measureSkewAngle(content) {
+  // Wide borders would outweigh the content, so only what lies inside them is measured
+  const { data: trimmed } = await sharp(content)
+    .trim({ threshold: AUTO_CROP_THRESHOLD })
+    .toBuffer({ resolveWithObject: true });
+  const { data, info } = await sharp(trimmed)
+    .grayscale()
+    .resize({ width: DESKEW_SAMPLE_WIDTH, withoutEnlargement: true })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  
+  const { width, height, channels } = info;
+  const pixelCount = width * height;
+  let brightnessTotal = 0;
+  for (let index = 0; index < pixelCount; index++) {
+    brightnessTotal += data[index * channels];
+  }
+  const isDarkPage = brightnessTotal / pixelCount < 128;
+  
+  // Ink is whatever stands out from the page
+  const inkX = [];
+  const inkY = [];
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const value = data[(y * width + x) * channels];
+      if (isDarkPage ? value >= 128 : value < 128) {
+        inkX.push(x);
+        inkY.push(y);
+      }
+    }
+  }
+  
+  if (inkX.length === 0) {
+    return 0;
+  }
+  
+  // Sharper rows give a larger sum of squared row counts
+  const diagonal = Math.ceil(Math.hypot(width, height));
+  let bestAngle = 0;
+  let bestScore = -1;
+  
+  for (let angle = -DESKEW_MAX_ANGLE; angle <= DESKEW_MAX_ANGLE; angle += DESKEW_ANGLE_STEP) {
+    const radians = angle * Math.PI / 180;
+    const sin = Math.sin(radians);
+    const cos = Math.cos(radians);
+    const rows = new Uint32Array(diagonal * 2);
+    
+    for (let index = 0; index < inkX.length; index++) {
+      rows[Math.round(inkY[index] * cos + inkX[index] * sin) + diagonal]++;
+    }
+    
+    let score = 0;
+    for (const count of rows) {
+      score += count * count;
+    }
+    
+    if (score > bestScore) {
+      bestScore = score;
+      bestAngle = angle;
+    }
+  }
+  
+  return Math.abs(bestAngle) < DESKEW_MIN_ANGLE ? 0 : bestAngle;
+}
+
+/**
+ * Straightens a slightly rotated page, keeping its size and filling the corners with the border colour
+ * @param {object} page - Page ({ type, content })
+ * @returns {Promise<object>} Straightened page with the same shape
+ */
+async function deskewPage(page) {
+  const angle = await measureSkewAngle(page.content);
+  if (angle === 0) {
+    return page;
+  }
+  
+  const { width, height } = await sharp(page.content).metadata();
+  const rotated = await sharp(page.content)
+    .rotate(angle, { background: await getBorderColor(page.content) })
+    .toBuffer({ resolveWithObject: true });
+  
+  const content = await sharp(rotated.data)
+    .extract({
+      left: Math.floor((rotated.info.width - width) / 2),
+      top: Math.floor((rotated.info.height - height) / 2),
+      width,
+      height
+    })
+    .toFormat(page.type)
+    .toBuffer();
+  
+  return { ...page, content, textItems: rotateTextItems(page.textItems, angle, width / height) };
+}
+
+/**
+ * Turns a page's text items with the page when it is rotated about its centre
+ * @param {object[]|null} textItems - Text items (see extractPageText)
+ * @param {number} angle - Rotation in degrees clockwise
+ * @param {number} aspectRatio - Width / height of the page
+ * @returns {object[]|null} Rotated text items
+ */
+function rotateTextItems(textItems, angle, aspectRatio) {
+  if (!textItems) {
+    return textItems;
+  }
+  
+  const radians = (angle * Math.PI) / 180;
+  const cos = Math.cos(radians);
+  const sin = Math.sin(radians);
+  
+  return textItems.map((item) => {
+    // Rotate in units of the page width, so both axes have the same scale
+    const dx = item.x - 0.5;
+    const dy = (item.y - 0.5) / aspectRatio;
+    return {
+      ...item,
+      x: 0.5 + dx * cos - dy * sin,
+      y: 0.5 + (dx * sin + dy * cos) * aspectRatio,
+      angle: item.angle + angle
+    };
+  });
+}
+
+/**
+ * Moves a page's text items into a crop box, dropping those that start outside it
+ * @param {object[]|null} textItems - Text items (see extractPageText)
+ * @param {object} box - Crop box ({ left, top, right, bottom } from 0 to 1)
+ * @returns {object[]|null} Text items relative to the cropped page
+ */
+function cropTextItems(textItems, box) {
+  if (!textItems) {
+    return textItems;
+  }
+  
+  const boxWidth = box.right - box.left;
+  const boxHeight = box.bottom - box.top;
+  
+  return textItems
+    .map((item) => ({
+      ...item,
+      x: (item.x - box.left) / boxWidth,
+      y: (item.y - box.top) / boxHeight,
+      size: item.size / boxWidth,
+      width: item.width / boxWidth
+    }))
+    .filter((item) => item.x >= 0 && item.x <= 1 && item.y >= 0 && item.y <= 1);
+}
+
+/**
+ * Finds the part of a page inside its uniform border, with a little padding,
+ * relative to the page size so boxes of different pages can be combined
+ * @param {Buffer} content - Image data
+ * @returns {Promise<object|null>} Box ({ left, top, right, bottom } from 0 to 1), null for (nearly) blank pages
+ */
+async function findContentBox(content) {
+  const { width, height } = await sharp(content).metadata();
+  const { info } = await sharp(content)
+    .trim({ threshold: AUTO_CROP_THRESHOLD })
+    .toBuffer({ resolveWithObject: true });
+  
+  if ((info.width * info.height) / (width * height) < AUTO_CROP_MIN_AREA_RATIO) {
+    return null;
+  }
+  
+  const padding = Math.max(width, height) * AUTO_CROP_PADDING_RATIO;
+  const left = Math.max(0, -info.trimOffsetLeft - padding);
+  const top = Math.max(0, -info.trimOffsetTop - padding);
+  const right = Math.min(width, -info.trimOffsetLeft + info.width + padding);
+  const bottom = Math.min(height, -info.trimOffsetTop + info.height + padding);
+  
+  return { left: left / width, top: top / height, right: right / width, bottom: bottom / height };
+}
+
+/**
+ * Applies the optional deskew and auto-crop to processed pages.
+ * With a uniform crop every page is cut to the box that holds the content of all pages,
+ * so slides keep the same size and position relative to each other.
+ * @param {object[]} pages - Processed pages ({ type, content })
+ * @param {object} crop - Crop settings ({ trim, deskew, uniform })
+ * @returns {Promise<object[]>} Pages in the same order
+ */
+async function cropPageImages(pages, crop) {
+  if (!crop.trim && !crop.deskew) {
+    return pages;
+  }
+  
+  // Straighten first, so the borders are straight when they are trimmed
+  const straightenedPages = crop.deskew
+    ? await mapWithConcurrency(pages, PAGE_PROCESSING_CONCURRENCY, deskewPage)
+    : pages;
+  
+  if (!crop.trim) {
+    return straightenedPages;
+  }
+  
+  let boxes = await mapWithConcurrency(straightenedPages, PAGE_PROCESSING_CONCURRENCY, (page) => findContentBox(page.content));
+  
+  if (crop.uniform) {
+    const found = boxes.filter(Boolean);
+    const sharedBox = found.length === 0 ? null : {
+      left: Math.min(...found.map((box) => box.left)),
+      top: Math.min(...found.map((box) => box.top)),
+      right: Math.max(...found.map((box) => box.right)),
+      bottom: Math.max(...found.map((box) => box.bottom))
+    };
+    boxes = boxes.map(() => sharedBox);
+  }
+  
+  return mapWithConcurrency(straightenedPages, PAGE_PROCESSING_CONCURRENCY, async (page, index) => {
+    const box = boxes[index];
+    if (!box) {
+      return page;
+    }
+    
+    const { width, height } = await sharp(page.content).metadata();
+    const left = Math.floor(box.left * width);
+    const top = Math.floor(box.top * height);
+    const content = await sharp(page.content)
+      .extract({
+        left,
+        top,
+        width: Math.max(1, Math.min(width, Math.ceil(box.right * width)) - left),
+        height: Math.max(1, Math.min(height, Math.ceil(box.bottom * height)) - top)
+      })
+      .toFormat(page.type)
+      .toBuffer();
+    
+    return { ...page, content, textItems: cropTextItems(page.textItems, box) };
+  });
+}
+
+/**
+ * Finds the typical aspect ratio of rendered pages (the median, so odd pages do not count)
+ * @param {object[]} pages - Rendered pages ({ content })
+ * @returns {Promise<number|null>} Width / height, null if no page could be measured
+ */
+async function measureSlideAspectRatio(pages) {
+  const ratios = [];
+  
+  for (const page of pages) {
+    const { width, height } = await sharp(page.content).metadata();
+    if (width && height) {
+      ratios.push(width / height);
+    }
+  }
+  
+  if (ratios.length === 0) {
+    return null;
+  }
+  
+  ratios.sort((first, second) => first - second);
+  return ratios[Math.floor(ratios.length / 2)];
+}
+
+/**
+ * Works out cell sizes and positions for a sheet layout.
+ * With notes, each cell is split into the slide and its notes area (right of or below it).
+ * @param {object} layout - Sheet layout (see getLayoutFromRequest)
+ * @returns {object} Grid ({ cellWidth, cellHeight, slideWidth, slideHeight, cellsPerPage, getCellOrigin(slot), getNotesBox(slot) })
+ */
+function computeGrid(layout) {
+  const { columns, rows, pageWidth, pageHeight, margins, gutter, notes } = layout;
+  const cellWidth = (pageWidth - margins.left - margins.right - gutter * (columns - 1)) / columns;
+  const cellHeight = (pageHeight - margins.top - margins.bottom - gutter * (rows - 1)) / rows;
+  const notesWidth = notes && notes.position === 'right' ? cellWidth * notes.share : 0;
+  const notesHeight = notes && notes.position === 'below' ? cellHeight * notes.share : 0;
+  const slideWidth = cellWidth - notesWidth;
+  const slideHeight = cellHeight - notesHeight;
+  
+  const getCellOrigin = (slot) => {
+    const column = slot % columns;
+    const row = Math.floor(slot / columns);
+    return {
+      x: margins.left + column * (cellWidth + gutter),
+      y: margins.top + row * (cellHeight + gutter)
+    };
+  };
+  
+  return {
+    cellWidth,
+    cellHeight,
+    slideWidth,
+    slideHeight,
+    cellsPerPage: columns * rows,
+    getCellOrigin,
+    getNotesBox(slot) {
+      if (!notes) {
+        return null;
+      }
+      
+      const { x, y } = getCellOrigin(slot);
+      return notes.position === 'right'
+        ? { x: x + slideWidth, y, width: notesWidth, height: cellHeight }
+        : { x, y: y + slideHeight, width: cellWidth, height: notesHeight };
+    }
+  };
+}
+
+/**
+ * Draws the note-taking area of one cell
+ * @param {PDFDocument} pdfDocument - Document being composed
+ * @param {object} box - Notes area ({ x, y, width, height })
+ * @param {object} notes - Notes settings ({ style, spacing }, in points)
+ * @param {number} padding - Space kept clear along the edges of the area
+ */
+function drawNotesArea(pdfDocument, box, notes, padding) {
+  const left = box.x + padding;
+  const top = box.y + padding;
+  const right = box.x + box.width - padding;
+  const bottom = box.y + box.height - padding;
+  
+  if (right <= left || bottom <= top) {
+    return;
+  }
+  
+  pdfDocument.save();
+  pdfDocument.lineWidth(0.5);
+  pdfDocument.strokeColor(NOTES_COLOR);
+  pdfDocument.fillColor(NOTES_COLOR);
+  
+  if (notes.style === 'box') {
+    pdfDocument.rect(left, top, right - left, bottom - top).stroke();
+  } else if (notes.style === 'lines') {
+    for (let y = top + notes.spacing; y <= bottom; y += notes.spacing) {
+      pdfDocument.moveTo(left, y).lineTo(right, y).stroke();
+    }
+  } else if (notes.style === 'dots') {
+    for (let y = top + notes.spacing / 2; y <= bottom; y += notes.spacing) {
+      for (let x = left + notes.spacing / 2; x <= right; x += notes.spacing) {
+        pdfDocument.circle(x, y, 0.6).fill();
+      }
+    }
+  }
+  
+  pdfDocument.restore();
+}
+
+/**
+ * Draws the border around one slide
+ * @param {PDFDocument} pdfDocument - Document being composed
+ * @param {object} box - Slide area ({ x, y, width, height })
+ * @param {object} decorations - Cell decorations (see getDecorationsFromRequest)
+ */
+function drawCellBorder(pdfDocument, box, decorations) {
+  const { border, borderWidth } = decorations;
+  
+  if (border === 'none') {
+    return;
+  }
+  
+  pdfDocument.save();
+  pdfDocument.lineWidth(borderWidth);
+  pdfDocument.strokeColor('black');
+  
+  if (border === 'rounded') {
+    const radius = Math.min(MAX_BORDER_RADIUS, Math.min(box.width, box.height) / 10);
+    pdfDocument.roundedRect(box.x, box.y, box.width, box.height, radius).stroke();
+  } else {
+    if (border === 'dashed') {
+      pdfDocument.dash(3 * borderWidth, { space: 2 * borderWidth });
+    }
+    pdfDocument.rect(box.x, box.y, box.width, box.height).stroke();
+  }
+  
+  pdfDocument.restore();
+}
+
+/**
+ * Writes the number of one slide into a corner of its area
+ * @param {PDFDocument} pdfDocument - Document being composed (with the Bengali font registered)
+ * @param {object} box - Slide area ({ x, y, width, height })
+ * @param {number} slideNumber - Number to write
+ * @param {object} decorations - Cell decorations (see getDecorationsFromRequest)
+ */
+function drawSlideNumber(pdfDocument, box, slideNumber, decorations) {
+  const { numberPosition, numberSize, numberDigits } = decorations;
+  
+  if (numberPosition === 'none') {
+    return;
+  }
+  
+  const label = numberDigits === 'bengali'
+    ? String(slideNumber).replace(/\d/g, (digit) => BENGALI_DIGITS[digit])
+    : String(slideNumber);
+  
+  pdfDocument.font(numberDigits === 'bengali' ? BENGALI_FONT_NAME : 'Helvetica')
+    .fontSize(numberSize)
+    .fillColor('black');
+  
+  // Bottom and right numbers keep their classic offset unless they are too big for it
+  const [vertical, horizontal] = numberPosition.split('-');
+  const textWidth = pdfDocument.widthOfString(label);
+  const textHeight = pdfDocument.currentLineHeight();
+  const x = horizontal === 'right'
+    ? box.x + box.width - Math.max(NUMBER_CORNER_OFFSET, textWidth + NUMBER_EDGE_GAP)
+    : box.x + NUMBER_EDGE_GAP;
+  const y = vertical === 'bottom'
+    ? box.y + box.height - Math.max(NUMBER_CORNER_OFFSET, textHeight + NUMBER_EDGE_GAP)
+    : box.y + NUMBER_EDGE_GAP;
+  
+  pdfDocument.text(label, x, y, { lineBreak: false });
+}
+
+/**
+ * Fills the placeholders of a header or footer template
+ * @param {string} template - Template text
+ * @param {object} values - Placeholder values ({ page, pages, date, filename, note })
+ * @returns {string} Text to print (placeholders without a value are left as they are)
+ */
+function fillStampTemplate(template, values) {
+  return template
+    .replace(/\{(\w+)\}/g, (placeholder, name) => (
+      STAMP_PLACEHOLDERS.includes(name) ? String(values[name]) : placeholder
+    ))
+    .trim();
+}
+
+/**
+ * Prints the header and footer of one sheet
+ * @param {PDFDocument} pdfDocument - Document being composed (with the Bengali font registered)
+ * @param {object} layout - Sheet layout with stamps
+ * @param {number} sheetNumber - Number of this sheet (1-based)
+ * @param {number} sheetCount - Number of sheets in the document
+ */
+function drawSheetStamps(pdfDocument, layout, sheetNumber, sheetCount) {
+  const { stamps, margins, pageWidth, pageHeight } = layout;
+  const values = { ...stamps.values, page: sheetNumber, pages: sheetCount };
+  const left = Math.max(margins.left, STAMP_SIDE_INSET);
+  const width = pageWidth - left - Math.max(margins.right, STAMP_SIDE_INSET);
+  const lines = [
+    { template: stamps.header, y: 0 },
+    { template: stamps.footer, y: pageHeight - STAMP_BAND_HEIGHT }
+  ];
+  
+  pdfDocument.save();
+  pdfDocument.font(BENGALI_FONT_NAME).fontSize(STAMP_FONT_SIZE).fillColor('black');
+  
+  for (const { template, y } of lines) {
+    const text = template ? fillStampTemplate(template, values) : '';
+    if (!text) {
+      continue;
+    }
+    
+    // One line, centred in its band; longer text is cut off with an ellipsis
+    const textHeight = pdfDocument.currentLineHeight(true);
+    pdfDocument.text(text, left, y + (STAMP_BAND_HEIGHT - textHeight) / 2, {
+      width,
+      height: textHeight,
+      align: 'center',
+      ellipsis: true
+    });
+  }
+  
+  // Slide numbers keep the standard font
+  pdfDocument.font('Helvetica');
+  pdfDocument.restore();
+}
+
+/**
+ * Lists the sides of a saddle-stitched booklet: each sheet side holds two booklet pages,
+ * and folding the printed stack in the middle puts the pages in reading order.
+ * Print double-sided, flipping on the short edge.
+ * @param {number} pageCount - Number of booklet pages with content
+ * @returns {object[]} Sheet sides in print order ({ left, right }: booklet page index, null for a blank page)
+ */
+function getBookletSides(pageCount) {
+  const paddedCount = Math.ceil(pageCount / 4) * 4;
+  const pageOrNull = (index) => (index < pageCount ? index : null);
+  const sides = [];
+  
+  for (let sheet = 0; sheet < paddedCount / 4; sheet++) {
+    // Front: last and first pages still to place; back: the two pages just inside them
+    sides.push({ left: pageOrNull(paddedCount - 1 - 2 * sheet), right: pageOrNull(2 * sheet) });
+    sides.push({ left: pageOrNull(2 * sheet + 1), right: pageOrNull(paddedCount - 2 - 2 * sheet) });
+  }
+  
+  return sides;
+}
+
+/**
+ * Writes a page's text as invisible text over its image, so the result can be searched and
+ * the text selected and copied. Characters the Unicode font lacks come through as blanks.
+ * @param {PDFDocument} pdfDocument - Document being composed (with the Bengali font registered)
+ * @param {object[]|null} textItems - Text items of the page (see extractPageText)
+ * @param {object} box - Where the page image was drawn ({ x, y, width, height } in points)
+ */
+function drawTextLayer(pdfDocument, textItems, box) {
+  if (!textItems || textItems.length === 0) {
+    return;
+  }
+  
+  pdfDocument.save();
+  pdfDocument.font(BENGALI_FONT_NAME);
+  // Text render mode 3 neither fills nor strokes; pdfkit only ever sets the visible modes
+  pdfDocument.addContent('3 Tr');
+  
+  for (const item of textItems) {
+    const fontSize = item.size * box.width;
+    const x = box.x + item.x * box.width;
+    const y = box.y + item.y * box.height;
+    
+    pdfDocument.fontSize(fontSize);
+    // Stretch the text to the width it has on the slide, so selections cover the right words
+    const naturalWidth = pdfDocument.widthOfString(item.text);
+    const horizontalScaling = naturalWidth > 0 ? (item.width * box.width / naturalWidth) * 100 : 100;
+    
+    pdfDocument.save();
+    if (item.angle) {
+      pdfDocument.rotate(item.angle, { origin: [x, y] });
+    }
+    pdfDocument.text(item.text, x, y, { lineBreak: false, baseline: 'alphabetic', horizontalScaling });
+    pdfDocument.restore();
+  }
+  
+  pdfDocument.restore();
+}
+
+/**
+ * Draws one page of the slide grid on the current PDF page
+ * @param {PDFDocument} pdfDocument - Document being composed
+ * @param {object} gridPage - Processed pages on this grid page ({ images, firstPosition in the handout })
+ * @param {number} pageIndex - Index of the grid page (0-based)
+ * @param {number} pageCount - Number of grid pages with content
+ * @param {object} layout - Sheet layout in points
+ * @param {object} grid - Grid of the layout (see computeGrid)
+ * @param {function} onImagePlaced - Called after each image
+ */
+function drawGridPage(pdfDocument, gridPage, pageIndex, pageCount, layout, grid, onImagePlaced) {
+  const imageWidth = grid.slideWidth;
+  const imageHeight = grid.slideHeight;
+  const padding = layout.padding;
+  
+  if (layout.stamps) {
+    drawSheetStamps(pdfDocument, layout, pageIndex + 1, pageCount);
+  }
+  
+  gridPage.images.forEach((image, slot) => {
+    const { x: currentX, y: currentY } = grid.getCellOrigin(slot);
+    
+    let imageBox;
+    try {
+      // Add image to PDF with padding; fit keeps its shape and places it at the top left
+      const pdfImage = pdfDocument.openImage(image.content);
+      const scale = Math.min(
+        (imageWidth - 2 * padding) / pdfImage.width,
+        (imageHeight - 2 * padding) / pdfImage.height
+      );
+      imageBox = { x: currentX + padding, y: currentY + padding, width: pdfImage.width * scale, height: pdfImage.height * scale };
+      pdfDocument.image(pdfImage, imageBox.x, imageBox.y, { width: imageBox.width, height: imageBox.height });
+    } catch (imageError) {
+      console.warn(`Using fallback for image of page ${image.pageNumber}`, imageError.message);
+      // Fallback method if the first approach fails
+      imageBox = { x: currentX, y: currentY, width: imageWidth, height: imageHeight };
+      pdfDocument.image(image.content, currentX, currentY, {
+        width: imageWidth,
+        height: imageHeight
+      });
+    }
+    
+    drawTextLayer(pdfDocument, image.textItems, imageBox);
+    
+    const slideBox = { x: currentX, y: currentY, width: imageWidth, height: imageHeight };
+    
+    // Draw border around image
+    drawCellBorder(pdfDocument, slideBox, layout.decorations);
+    
+    // Add the slide number: its page in the source PDF, or its position in the handout
+    const slideNumber = layout.numbering === 'sequential' ? gridPage.firstPosition + slot + 1 : image.pageNumber;
+    drawSlideNumber(pdfDocument, slideBox, slideNumber, layout.decorations);
+    
+    // Note-taking space beside or below the slide
+    const notesBox = grid.getNotesBox(slot);
+    if (notesBox) {
+      drawNotesArea(pdfDocument, notesBox, layout.notes, padding);
+    }
+    
+    onImagePlaced();
+  });
+}
+
+/**
+ * Creates PDF from processed images.
+ * Booklet layouts put two grid pages side by side on each sheet, in saddle-stitch order.
+ * @param {object[]} images - Processed pages ({ pageNumber, sourceIndex, content }), in any order
+ * @param {object} layout - Sheet layout in points (see getLayoutFromRequest)
+ * @param {string} outputPath - Path of the PDF file to write
+ * @param {function} [onPageProgress] - Called with (pagesDone, totalPages) after each image
+ * @param {object|null} [embedding] - How to store the images (see getEmbeddingAttempts), null to keep them
+ */
+async function createPdfFromImages(images, layout, outputPath, onPageProgress = () => {}, embedding = null) {
+  try {
+    if (images.length === 0) {
+      throw new Error('No images found to create PDF');
+    }
+    
+    // Lay pages out by their page number in the source PDF, never by name or arrival order
+    const orderedImages = (await mapWithConcurrency(images, PAGE_PROCESSING_CONCURRENCY, (image) => encodeEmbeddedImage(image, embedding)))
+      .sort((first, second) => first.pageNumber - second.pageNumber);
+    
+    const grid = computeGrid(layout);
+    
+    // Fill grid pages in order; each uploaded file may start on a fresh page
+    const gridPages = [];
+    orderedImages.forEach((image, position) => {
+      const currentPage = gridPages[gridPages.length - 1];
+      const startsNewFile = layout.newSheetPerFile && currentPage &&
+        currentPage.images[0].sourceIndex !== image.sourceIndex;
+      
+      if (!currentPage || currentPage.images.length === grid.cellsPerPage || startsNewFile) {
+        gridPages.push({ images: [image], firstPosition: position });
+      } else {
+        currentPage.images.push(image);
+      }
+    });
+    
+    // Create a new PDF document
+    const pdfDocument = new PDFDocument({ autoFirstPage: false });
+    const writeStream = fsSync.createWriteStream(outputPath);
+    
+    pdfDocument.pipe(writeStream);
+    pdfDocument.registerFont(BENGALI_FONT_NAME, BENGALI_FONT_PATH); // Embedded only if used
+    
+    let imageCount = 0;
+    const onImagePlaced = () => {
+      imageCount++;
+      onPageProgress(imageCount, orderedImages.length);
+    };
+    const drawPage = (pageIndex) => {
+      drawGridPage(pdfDocument, gridPages[pageIndex], pageIndex, gridPages.length, layout, grid, onImagePlaced);
+    };
+    
+    if (layout.imposition === 'booklet') {
+      for (const side of getBookletSides(gridPages.length)) {
+        pdfDocument.addPage({ size: [layout.pageWidth * 2, layout.pageHeight] });
+        
+        if (side.left !== null) {
+          drawPage(side.left);
+        }
+        if (side.right !== null) {
+          pdfDocument.save();
+          pdfDocument.translate(layout.pageWidth, 0);
+          drawPage(side.right);
+          pdfDocument.restore();
+        }
+      }
+    } else {
+      for (let pageIndex = 0; pageIndex < gridPages.length; pageIndex++) {
+        pdfDocument.addPage({ size: [layout.pageWidth, layout.pageHeight] });
+        drawPage(pageIndex);
+      }
+    }
+    
+    pdfDocument.end();
+    
+    // Wait for PDF to finish writing
+    await new Promise((resolve, reject) => {
+      writeStream.on('finish', resolve);
+      writeStream.on('error', reject);
+    });
+    
+    console.log(`PDF created successfully with ${imageCount} images`);
+    
+  } catch (error) {
+    console.error('PDF creation error:', error);
+    throw new Error(`Failed to create PDF: ${error.message}`);
+  }
+}
+
+/**
+ * Turns an image into the colour mode chosen for the result
+ * @param {object} image - sharp instance
+ * @param {string} colorMode - One of COLOR_MODES
+ * @returns {object} The same sharp instance
+ */
+function applyColorMode(image, colorMode) {
+  // Flattened images would keep three channels without the explicit single-channel colourspace
+  if (colorMode === 'grayscale') {
+    return image.flatten({ background: '#ffffff' }).grayscale().toColourspace('b-w');
+  }
+  if (colorMode === 'bilevel') {
+    return image.flatten({ background: '#ffffff' }).threshold(BILEVEL_THRESHOLD).toColourspace('b-w');
+  }
+  return image;
+}
+
+/**
+ * Encodes a processed page in the image format chosen for the result
+ * @param {Buffer} content - Image data
+ * @param {object} output - Output settings ({ imageFormat, imageQuality, colorMode })
+ * @returns {Promise<Buffer>} Encoded image
+ */
+function encodeOutputImage(content, output) {
+  const options = output.imageFormat === 'png' ? {} : { quality: output.imageQuality };
+  return applyColorMode(sharp(content), output.colorMode).toFormat(output.imageFormat, options).toBuffer();
+}
+
+/**
+ * Lists the image settings to compose a PDF result with, in the order they are tried:
+ * the requested ones, then, with a target size, ever smaller ones
+ * @param {object} output - Output settings (see getOutputFromRequest)
+ * @returns {object[]} Embedding settings ({ colorMode, encoding, quality, scale })
+ */
+function getEmbeddingAttempts(output) {
+  const requested = { colorMode: output.colorMode, encoding: output.encoding, quality: output.imageQuality, scale: 1 };
+  if (!output.targetSize) {
+    return [requested];
+  }
+  
+  const attempts = [requested];
+  if (output.colorMode !== 'bilevel') {
+    // Bilevel images are already as small as they get at their size
+    for (const quality of TARGET_SIZE_QUALITIES) {
+      if (requested.encoding !== 'jpeg' || quality < requested.quality) {
+        attempts.push({ ...requested, encoding: 'jpeg', quality });
+      }
+    }
+  }
+  
+  const lastAttempt = attempts[attempts.length - 1];
+  for (const scale of TARGET_SIZE_SCALES) {
+    attempts.push({ ...lastAttempt, scale });
+  }
+  return attempts;
+}
+
+/**
+ * Re-encodes a processed page for embedding in a PDF result. Pages keep their original
+ * data when nothing would change, so default results stay as they were, and keep their
+ * own encoding unless PNG or JPEG was asked for.
+ * @param {object} image - Processed page ({ type, content })
+ * @param {object|null} embedding - Embedding settings (see getEmbeddingAttempts), null to keep the page
+ * @returns {Promise<object>} The page with its embedded image ({ type, content })
+ */
+async function encodeEmbeddedImage(image, embedding) {
+  if (!embedding || (embedding.colorMode === 'color' && embedding.encoding !== 'jpeg' && embedding.scale === 1)) {
+    return image;
+  }
+  
+  const encoding = embedding.encoding === 'auto' ? (image.type === 'jpeg' ? 'jpeg' : 'png') : embedding.encoding;
+  
+  let pipeline = sharp(image.content);
+  if (embedding.scale < 1) {
+    const { width } = await sharp(image.content).metadata();
+    pipeline = pipeline.resize({ width: Math.max(1, Math.round(width * embedding.scale)) });
+  }
+  pipeline = applyColorMode(pipeline, embedding.colorMode);
+  
+  if (embedding.colorMode === 'bilevel') {
+    // A two-colour palette is stored with one bit per pixel
+    return { ...image, type: 'png', content: await pipeline.png({ palette: true, colours: 2 }).toBuffer() };
+  }
+  if (encoding === 'jpeg') {
+    return { ...image, type: 'jpeg', content: await pipeline.flatten({ background: '#ffffff' }).jpeg({ quality: embedding.quality }).toBuffer() };
+  }
+  return { ...image, type: 'png', content: await pipeline.png().toBuffer() };
+}
+
+/**
+ * Writes images into a ZIP file
+ * @param {object[]} entries - Files to store ({ name, content })
+ * @param {string} outputPath - Path of the ZIP file to write
+ */
+async function createZipFromImages(entries, outputPath) {
+  const archive = archiver('zip', { zlib: { level: 1 } }); // Images hardly compress any further
+  const writeStream = fsSync.createWriteStream(outputPath);
+  
+  const finished = new Promise((resolve, reject) => {
+    writeStream.on('close', resolve);
+    writeStream.on('error', reject);
+    archive.on('error', reject);
+  });
+  
+  archive.pipe(writeStream);
+  for (const entry of entries) {
+    archive.append(entry.content, { name: entry.name });
+  }
+  await archive.finalize();
+  await finished;
+}
+
+/**
+ * Creates a PDF with one processed slide per page, each page the size of its slide
+ * @param {object[]} images - Processed pages ({ pageNumber, content })
+ * @param {string} outputPath - Path of the PDF file to write
+ * @param {function} [onPageProgress] - Called with (pagesDone, totalPages) after each image
+ * @param {number} [renderScale] - Pixels per point the pages were rendered at
+ * @param {object|null} [embedding] - How to store the images (see getEmbeddingAttempts), null to keep them
+ */
+async function createSlidesPdf(
+  images,
+  outputPath,
+  onPageProgress = () => {},
+  renderScale = RENDER_VIEWPORT_SCALE,
+  embedding = null
+) {
+  const orderedImages = [...images].sort((first, second) => first.pageNumber - second.pageNumber);
+  const pdfDocument = new PDFDocument({ autoFirstPage: false });
+  const writeStream = fsSync.createWriteStream(outputPath);
+  
+  pdfDocument.pipe(writeStream);
+  pdfDocument.registerFont(BENGALI_FONT_NAME, BENGALI_FONT_PATH); // Embedded only if used
+  
+  for (const [index, image] of orderedImages.entries()) {
+    // Back to the size the page had in the source PDF
+    const { width, height } = await sharp(image.content).metadata();
+    const pageWidth = width / renderScale;
+    const pageHeight = height / renderScale;
+    const { content } = await encodeEmbeddedImage(image, embedding);
+    
+    pdfDocument.addPage({ size: [pageWidth, pageHeight], margin: 0 });
+    pdfDocument.image(content, 0, 0, { width: pageWidth, height: pageHeight });
+    drawTextLayer(pdfDocument, image.textItems, { x: 0, y: 0, width: pageWidth, height: pageHeight });
+    onPageProgress(index + 1, orderedImages.length);
+  }
+  
+  pdfDocument.end();
+  
+  await new Promise((resolve, reject) => {
+    writeStream.on('finish', resolve);
+    writeStream.on('error', reject);
+  });
+}
+
+/**
+ * Renders the sheets of a composed PDF to images
+ * @param {string} pdfPath - Composed N-up PDF
+ * @param {object} output - Output settings ({ imageFormat, imageQuality })
+ * @returns {Promise<object[]>} ZIP entries ({ name, content }), one per sheet
+ */
+async function renderSheetImages(pdfPath, output) {
+  const pdf = await new PDFToImage().load(pdfPath);
+  let sheets;
+  try {
+    sheets = await pdf.convert({
+      viewportScale: SHEET_IMAGE_SCALE,
+      type: 'png',
+      includeBufferContent: true
+    });
+  } finally {
+    await pdf.document.destroy();
+  }
+  
+  return Promise.all(sheets.map(async (sheet) => ({
+    name: `sheet-${String(sheet.pageIndex).padStart(3, '0')}.${output.imageFormat}`,
+    content: await encodeOutputImage(sheet.content, output)
+  })));
+}
+
+/**
+ * Composes a PDF result, retrying with smaller images while it is over the target size
+ * @param {object} output - Output settings (see getOutputFromRequest)
+ * @param {string} resultPath - Path of the PDF file to write
+ * @param {function} composePdf - Writes the PDF with the given embedding settings
+ * @returns {Promise<object|null>} Compression report ({ targetSize, size, fits, encoding, quality, scale }),
+ *   null without a target size
+ */
+async function writePdfWithinTargetSize(output, resultPath, composePdf) {
+  const attempts = getEmbeddingAttempts(output);
+  
+  for (const [index, embedding] of attempts.entries()) {
+    await composePdf(embedding);
+    if (!output.targetSize) {
+      return null;
+    }
+    
+    const { size } = await fs.stat(resultPath);
+    const fits = size <= output.targetSize;
+    if (fits || index === attempts.length - 1) {
+      const { encoding, quality, scale } = embedding;
+      if (!fits) {
+        console.warn(`Result is ${size} bytes, still over the target of ${output.targetSize} bytes`);
+      }
+      return { targetSize: output.targetSize, size, fits, encoding, quality, scale };
+    }
+    console.log(`Result is ${size} bytes, over the target of ${output.targetSize} bytes; trying smaller images`);
+  }
+}
+
+/**
+ * Writes the result of a job in the requested format
+ * @param {object[]} processedPages - Processed pages
+ * @param {object} layout - Resolved sheet layout
+ * @param {object} output - Output settings (see getOutputFromRequest)
+ * @param {object} workspace - Workspace of the job
+ * @param {function} onPageProgress - Called with (pagesDone, totalPages)
+ * @returns {Promise<object>} Result ({ resultPath, compression: see writePdfWithinTargetSize })
+ */
+async function writeJobResult(processedPages, layout, output, workspace, onPageProgress) {
+  const format = OUTPUT_FORMATS[output.format];
+  const resultPath = output.format === 'pdf'
+    ? workspace.finalPdfPath
+    : path.join(workspace.root, `${RESULT_FILE_NAME}${format.extension}`);
+  let compression = null;
+  
+  switch (output.format) {
+    case 'slides-pdf':
+      compression = await writePdfWithinTargetSize(output, resultPath, (embedding) => (
+        createSlidesPdf(processedPages, resultPath, onPageProgress, output.renderScale, embedding)
+      ));
+      break;
+      
+    case 'slides-zip': {
+      const entries = await mapWithConcurrency(processedPages, PAGE_PROCESSING_CONCURRENCY, async (page) => ({
+        name: `slide-${String(page.pageNumber).padStart(3, '0')}.${output.imageFormat}`,
+        content: await encodeOutputImage(page.content, output)
+      }));
+      await createZipFromImages(entries, resultPath);
+      break;
+    }
+    
+    case 'sheets-zip': {
+      // Compose the sheets as usual, then turn every sheet into an image
+      await createPdfFromImages(processedPages, layout, workspace.finalPdfPath, onPageProgress, getEmbeddingAttempts(output)[0]);
+      await createZipFromImages(await renderSheetImages(workspace.finalPdfPath, output), resultPath);
+      break;
+    }
+    
+    default:
+      compression = await writePdfWithinTargetSize(output, resultPath, (embedding) => (
+        createPdfFromImages(processedPages, layout, resultPath, onPageProgress, embedding)
+      ));
+  }
+  
+  return { resultPath, compression };
+}
+
+/**
+ * Shrinks an image to a preview JPEG
+ * @param {Buffer} content - Image data
+ * @param {number} width - Largest width of the preview in pixels
+ * @returns {Promise<Buffer>} JPEG data
+ */
+function encodePreviewImage(content, width) {
+  return sharp(content)
+    .resize({ width, withoutEnlargement: true })
+    .flatten({ background: '#ffffff' })
+    .jpeg({ quality: PREVIEW_JPEG_QUALITY })
+    .toBuffer();
+}
+
+/**
+ * Renders previews for a set of options without running a job:
+ * one processed page, and optionally the first sheet of the handout
+ * @param {object[]} sources - Uploaded files in order ({ path, name, kind })
+ * @param {number} pageNumber - Page to preview, counted across all files
+ * @param {object} options - Processing options (see getJobOptionsFromRequest)
+ * @param {boolean} includeSheet - Whether to compose the first sheet as well
+ * @returns {Promise<object>} Preview JPEGs ({ page, sheet: null unless requested }) and the
+ *   page's inversion decision ({ inversion })
+ */
+async function renderPreview(sources, pageNumber, options, includeSheet) {
+  const pageSelection = parsePageSelection(String(pageNumber));
+  const { renderScale } = options.output;
+  // The images as the result stores them, before any target size shrinks them further
+  const [embedding] = getEmbeddingAttempts({ ...options.output, targetSize: null });
+  const [renderedPage] = await renderSourcePages(sources, pageSelection, undefined, Infinity, renderScale);
+  const [inversion] = await decidePageInversions([renderedPage], options.inversion);
+  const [processedPage] = await cropPageImages(
+    await processPageImages([renderedPage], options.recipe.steps, undefined, getInvertedPages([inversion])),
+    options.crop
+  );
+  const embeddedPage = await encodeEmbeddedImage(processedPage, embedding);
+  const page = await encodePreviewImage(embeddedPage.content, PREVIEW_PAGE_WIDTH);
+  
+  if (!includeSheet) {
+    return { page, inversion, sheet: null };
+  }
+  
+  // The first sheet only needs as many pages as it has cells
+  const aspectRatio = options.layout.pageWidth ? null : await measureSlideAspectRatio([processedPage]);
+  const layout = resolveSheetLayout(options.layout, aspectRatio);
+  const { cellsPerPage } = computeGrid(layout);
+  // Build-up steps among these pages drop out, which may leave the previewed sheet with fewer slides
+  const { pages: sheetPages } = await dedupeBuildPages(
+    await renderSourcePages(sources, options.pageSelection, undefined, cellsPerPage, renderScale),
+    options.dedupe
+  );
+  const sheetInversions = await decidePageInversions(sheetPages, options.inversion);
+  const processedSheetPages = await cropPageImages(
+    await processPageImages(sheetPages, options.recipe.steps, undefined, getInvertedPages(sheetInversions)),
+    options.crop
+  );
+  
+  const workspace = getJobWorkspace(generateJobId());
+  try {
+    await createJobWorkspace(workspace.jobId);
+    await createPdfFromImages(processedSheetPages, layout, workspace.finalPdfPath, undefined, embedding);
+    
+    const pdf = await new PDFToImage().load(workspace.finalPdfPath);
+    let firstSheet;
+    try {
+      [firstSheet] = await pdf.convert({ pages: [1], type: 'png', includeBufferContent: true });
+    } finally {
+      await pdf.document.destroy();
+    }
+    
+    return { page, inversion, sheet: await encodePreviewImage(firstSheet.content, PREVIEW_SHEET_WIDTH) };
+  } finally {
+    await removeJobWorkspace(workspace);
+  }
+}
+
+/**
+ * Counts the pages of a pipeline step that came from the page cache
+ * @param {object[]} pages - Pages returned by the step ({ fromCache })
+ * @returns {object} Cache use ({ hits, misses }); pages that were never looked up count as neither
+ */
+function countCacheHits(pages) {
+  return {
+    hits: pages.filter((page) => page.fromCache === true).length,
+    misses: pages.filter((page) => page.fromCache === false).length
+  };
+}
+
+/**
+ * Main processing pipeline
+ * @param {object[]} sources - Uploaded files in order (see renderSourcePages)
+ * @param {object} options - Processing options ({ pageSelection, dedupe, recipe, inversion, crop, layout, output })
+ * @param {object} workspace - Isolated workspace of the job (see getJobWorkspace)
+ * @param {function} [onStateChange] - Called with a JOB_STATES value when a step starts
+ * @param {function} [onPageProgress] - Called with (pagesDone, totalPages) within the current step
+ * @returns {Promise<object>} Outcome ({ layout: the sheet layout that was used, resultPath,
+ *   cache: page cache use per step, inversions: per-page inversion decisions,
+ *   dedupe: dropped build-up pages, null unless asked for, compression: target size report or null)
+ */
+async function processPdfPipeline(
+  sources,
+  options,
+  workspace,
+  onStateChange = () => {},
+  onPageProgress = () => {}
+) {
+  console.log(`Starting PDF processing pipeline for job ${workspace.jobId}...`);
+  
+  try {
+    // Step 1: Convert PDF to images
+    console.log('Step 1: Converting PDF to images');
+    onStateChange(JOB_STATES.CONVERTING);
+    const renderedPages = await renderSourcePages(
+      sources,
+      options.pageSelection,
+      onPageProgress,
+      Infinity,
+      options.output.renderScale
+    );
+    const { pages: keptPages, dropped } = await dedupeBuildPages(renderedPages, options.dedupe);
+    
+    // Step 2: Apply the processing recipe, then the optional deskew and auto-crop
+    console.log(`Step 2: Applying ${options.recipe.label} recipe`);
+    onStateChange(JOB_STATES.PROCESSING);
+    const inversions = await decidePageInversions(keptPages, options.inversion);
+    const processedPages = await processPageImages(
+      keptPages,
+      options.recipe.steps,
+      onPageProgress,
+      getInvertedPages(inversions)
+    );
+    const croppedPages = await cropPageImages(processedPages, options.crop);
+    
+    // Step 3: Create the result, settling auto layouts on the slides' shape first
+    const aspectRatio = options.layout.pageWidth ? null : await measureSlideAspectRatio(croppedPages);
+    const layout = resolveSheetLayout(options.layout, aspectRatio);
+    console.log(`Step 3: Creating ${options.output.format} with ${layout.rows} rows x ${layout.columns} columns (${layout.orientation})`);
+    onStateChange(JOB_STATES.COMPOSING);
+    const { resultPath, compression } = await writeJobResult(croppedPages, layout, options.output, workspace, onPageProgress);
+    
+    const cache = { rendered: countCacheHits(renderedPages), processed: countCacheHits(processedPages) };
+    console.log(`PDF processing pipeline completed successfully (cache: ${JSON.stringify(cache)})`);
+    const dedupe = options.dedupe && { threshold: options.dedupe.threshold, dropped };
+    return { layout, resultPath, cache, inversions, dedupe, compression };
+    
+  } catch (error) {
+    // Attempt to clean up on error
+    console.error(`Pipeline error in job ${workspace.jobId}, attempting cleanup...`);
+    await removeJobWorkspace(workspace).catch(() => {});
+    
+    throw error; // Re-throw for caller to handle
+  }
+}
+
+// =======================
+// 7. JOB MANAGEMENT
+// =======================
+
+// Jobs known to this process, keyed by job ID
+const jobs = new Map();
+
+// Jobs waiting for a free processing slot
+const jobQueue = [];
+let activeJobCount = 0;
+
+/**
+ * Registers a new processing job for uploaded files
+ * @param {string} jobId - Job ID (also names the uploads and workspace)
+ * @param {object[]} sources - Uploaded files in order ({ path, name, kind })
+ * @param {object} options - Processing options (see getJobOptionsFromRequest)
+ * @returns {object} The job record
+ */
+function createJob(jobId, sources, options) {
+  const now = Date.now();
+  const job = {
+    id: jobId,
+    state: JOB_STATES.QUEUED,
+    createdAt: now,
+    updatedAt: now,
+    sources,
+    options,
+    workspace: getJobWorkspace(jobId),
+    progress: { step: JOB_STATES.QUEUED, pagesDone: 0, totalPages: 0, percent: 0 },
+    layout: null,
+    cache: null,
+    inversions: null,
+    dedupe: null,
+    compression: null,
+    resultPath: null,
+    error: null,
+    errorStatus: null,
+    errorCode: null,
+    events: new EventEmitter()
+  };
+  
+  // Resolved once the job is done or failed, never rejected
+  job.completion = new Promise((resolve) => {
+    job.resolveCompletion = resolve;
+  });
+  
+  // Every open progress stream adds a listener
+  job.events.setMaxListeners(0);
+  
+  jobs.set(jobId, job);
+  return job;
+}
+
+/**
+ * Updates the state of a job
+ * @param {object} job - Job record
+ * @param {string} state - One of JOB_STATES
+ */
+function setJobState(job, state) {
+  job.state = state;
+  job.updatedAt = Date.now();
+  
+  if (PROGRESS_STEPS.includes(state)) {
+    // Page totals carry over; a new step starts at zero pages done
+    job.progress = {
+      step: state,
+      pagesDone: 0,
+      totalPages: job.progress.totalPages,
+      percent: calculateJobPercent(state, 0, job.progress.totalPages)
+    };
+  } else {
+    job.progress = {
+      ...job.progress,
+      step: state,
+      percent: state === JOB_STATES.DONE ? 100 : job.progress.percent
+    };
+  }
+  
+  console.log(`Job ${job.id}: ${state}`);
+  job.events.emit('update', job);
+}
+
+/**
+ * Records page progress within the current step of a job
+ * @param {object} job - Job record
+ * @param {number} pagesDone - Pages finished in the current step
+ * @param {number} totalPages - Pages in the current step
+ */
+function setJobPageProgress(job, pagesDone, totalPages) {
+  job.updatedAt = Date.now();
+  job.progress = {
+    step: job.state,
+    pagesDone,
+    totalPages,
+    percent: calculateJobPercent(job.state, pagesDone, totalPages)
+  };
+  
+  job.events.emit('update', job);
+}
+
+/**
+ * Calculates overall job completion, giving every pipeline step an equal share
+ * @param {string} step - Current JOB_STATES value
+ * @param {number} pagesDone - Pages finished in the current step
+ * @param {number} totalPages - Pages in the current step
+ * @returns {number} Completion percentage (0-100, integer)
+ */
+function calculateJobPercent(step, pagesDone, totalPages) {
+  const stepIndex = PROGRESS_STEPS.indexOf(step);
+  
+  if (stepIndex === -1) {
+    return 0;
+  }
+  
+  const stepFraction = totalPages > 0 ? pagesDone / totalPages : 0;
+  return Math.floor(((stepIndex + stepFraction) / PROGRESS_STEPS.length) * 100);
+}
+
+/**
+ * Builds the public representation of a job
+ * @param {object} job - Job record
+ * @returns {object} Job status safe to send to clients
+ */
+function serializeJob(job) {
+  return {
+    id: job.id,
+    state: job.state,
+    createdAt: new Date(job.createdAt).toISOString(),
+    updatedAt: new Date(job.updatedAt).toISOString(),
+    options: job.options,
+    progress: job.progress,
+    layout: job.layout,
+    cache: job.cache,
+    inversions: job.inversions,
+    dedupe: job.dedupe,
+    compression: job.compression,
+    error: job.error,
+    errorCode: job.errorCode,
+    resultUrl: job.state === JOB_STATES.DONE ? `/api/jobs/${job.id}/result` : null
+  };
+}
+
+/**
+ * Runs the processing pipeline for a job and records the outcome
+ * @param {object} job - Job record
+ */
+async function runJob(job) {
+  try {
+    await createJobWorkspace(job.id);
+    const outcome = await processPdfPipeline(
+      job.sources,
+      job.options,
+      job.workspace,
+      (state) => setJobState(job, state),
+      (pagesDone, totalPages) => setJobPageProgress(job, pagesDone, totalPages)
+    );
+    
+    // Check if the result was created
+    try {
+      await fs.access(outcome.resultPath);
+    } catch (error) {
+      throw new Error('PDF processing completed but output file was not created');
+    }
+    
+    job.resultPath = outcome.resultPath;
+    job.layout = describeSheetLayout(outcome.layout);
+    job.cache = outcome.cache;
+    job.inversions = outcome.inversions;
+    job.dedupe = outcome.dedupe;
+    job.compression = outcome.compression;
+    setJobState(job, JOB_STATES.DONE);
+  } catch (error) {
+    console.error(`Job ${job.id} failed:`, error);
+    job.error = error.message || 'PDF processing failed';
+    job.errorStatus = error.status || 500;
+    job.errorCode = (error.status && error.code) || null;
+    setJobState(job, JOB_STATES.FAILED);
+    await removeJobWorkspace(job.workspace);
+  } finally {
+    // The uploads are no longer needed once the job has finished either way;
+    // the retention manager removes the job itself once it has expired
+    await removeSourceFiles(job.sources);
+    
+    job.resolveCompletion(job);
+  }
+}
+
+/**
+ * Starts queued jobs while processing slots are free
+ */
+function drainJobQueue() {
+  while (activeJobCount < MAX_CONCURRENT_JOBS && jobQueue.length > 0) {
+    const job = jobQueue.shift();
+    activeJobCount++;
+    
+    runJob(job).finally(() => {
+      activeJobCount--;
+      drainJobQueue();
+    });
+  }
+}
+
+/**
+ * Queues a job for processing
+ * @param {object} job - Job record
+ * @returns {Promise<object>} Resolves with the job once it is done or failed
+ */
+function scheduleJob(job) {
+  jobQueue.push(job);
+  drainJobQueue();
+  return job.completion;
+}
+
+/**
+ * Removes a finished job and all of its files
+ * @param {object} job - Job record
+ */
+async function discardJob(job) {
+  job.events.removeAllListeners();
+  jobs.delete(job.id);
+  await removeJobWorkspace(job.workspace);
+  await removeSourceFiles(job.sources);
+}
+
+// Files uploaded for previews, keyed by file ID, so later previews can skip the upload
+const previewUploads = new Map();
+
+/**
+ * Keeps uploaded files for previews, or marks them as used again.
+ * The retention manager removes them once they have not been used for a while.
+ * @param {string} fileId - File ID (the upload's job ID)
+ * @param {object[]} [sources] - Newly uploaded files in order ({ path, name, kind })
+ * @returns {object} The preview upload record ({ id, sources, lastUsedAt })
+ */
+function keepPreviewUpload(fileId, sources) {
+  const previewUpload = previewUploads.get(fileId) || { id: fileId, sources, lastUsedAt: 0 };
+  
+  previewUpload.lastUsedAt = Date.now();
+  previewUploads.set(fileId, previewUpload);
+  return previewUpload;
+}
+
+/**
+ * Removes uploaded preview files
+ * @param {object} previewUpload - Preview upload record
+ */
+async function discardPreviewUpload(previewUpload) {
+  previewUploads.delete(previewUpload.id);
+  await removeSourceFiles(previewUpload.sources);
+}
+
+/**
+ * Resolves the processing recipe requested by an upload.
+ * "recipe" may hold an inline recipe (JSON) or the name of a saved recipe;
+ * otherwise "preset" (called "mood" by the form) names a preset or saved recipe.
+ * @param {object} body - Parsed request body
+ * @returns {Promise<object>} Recipe ({ id, label, steps })
+ * @throws {Error} HTTP 400 error for unknown names or invalid recipes
+ */
+async function resolveRecipeFromRequest(body) {
+  const rawRecipe = body.recipe;
+  
+  if (rawRecipe !== undefined && rawRecipe !== '') {
+    const isInline = typeof rawRecipe !== 'string' || /^\s*[[{]/.test(rawRecipe);
+    
+    if (isInline) {
+      return { id: 'custom', label: 'Custom', steps: normalizeRecipe(rawRecipe) };
+    }
+    
+    const savedRecipe = await loadSavedRecipe(rawRecipe);
+    if (!savedRecipe) {
+      throw createError(400, `Unknown saved recipe: ${rawRecipe}`);
+    }
+    return { id: savedRecipe.id, label: savedRecipe.label, steps: savedRecipe.steps };
+  }
+  
+  const presetId = body.preset || body.mood || DEFAULT_PRESET;
+  const preset = await findPreset(presetId);
+  
+  if (!preset) {
+    throw createError(400, `Unknown processing preset: ${presetId}`);
+  }
+  
+  return { id: preset.id, label: preset.label, steps: preset.steps };
+}
+
+/**
+ * Reads and validates processing options from an upload request body
+ * @param {object} body - Parsed request body
+ * @param {object[]} [sources] - Uploaded files ({ name }), named by {filename} in headers and footers
+ * @returns {Promise<object>} Processing options
+ * @throws {Error} HTTP 4xx error if the options are invalid
+ */
+async function getJobOptionsFromRequest(body, sources = []) {
+  const fileNames = sources.map((source) => source.name).join(', ');
+  
+  return {
+    pageSelection: parsePageSelection(body.pages),
+    dedupe: getDedupeFromRequest(body),
+    recipe: await resolveRecipeFromRequest(body),
+    inversion: getInversionFromRequest(body),
+    crop: getCropFromRequest(body),
+    layout: getLayoutFromRequest(body, fileNames),
+    output: getOutputFromRequest(body)
+  };
+}
+
+/**
+ * Reads the build-up dedupe switch and its threshold from an upload request body
+ * @param {object} body - Parsed request body
+ * @returns {object|null} Dedupe settings ({ threshold: percent of changed content }), null if off
+ * @throws {Error} HTTP 400 error for thresholds out of range
+ */
+function getDedupeFromRequest(body) {
+  if (!isEnabledOption(body.dedupe)) {
+    return null;
+  }
+  
+  return {
+    threshold: parseNumberOption(body.dedupeThreshold, 'dedupeThreshold', 0, 100, DEFAULT_DEDUPE_THRESHOLD)
+  };
+}
+
+/**
+ * Reads the inversion mode and the pages forced either way from an upload request body
+ * @param {object} body - Parsed request body
+ * @returns {object} Inversion settings ({ mode, invertPages, keepPages }); the page lists use the
+ *   page selection syntax and are null when empty, keepPages winning for pages in both
+ * @throws {Error} HTTP 400 error for unknown modes or invalid page lists
+ */
+function getInversionFromRequest(body) {
+  const mode = String(body.invert || DEFAULT_INVERSION_MODE).toLowerCase();
+  
+  if (!INVERSION_MODES.includes(mode)) {
+    throw createError(400, `Invalid invert "${body.invert}" (allowed: ${INVERSION_MODES.join(', ')})`);
+  }
+  
+  // "all" selects nothing in a page selection, but here it should force every page
+  const parsePageList = (expression) => (
+    String(expression || '').trim().toLowerCase() === 'all' ? parsePageSelection('1-') : parsePageSelection(expression)
+  );
+  
+  return {
+    mode,
+    invertPages: parsePageList(body.invertPages),
+    keepPages: parsePageList(body.keepPages)
+  };
+}
+
+/**
+ * Reads the auto-crop and deskew switches from an upload request body
+ * @param {object} body - Parsed request body
+ * @returns {object} Crop settings ({ trim, deskew, uniform }); a uniform crop implies trimming
+ */
+function getCropFromRequest(body) {
+  const uniform = isEnabledOption(body.uniformCrop);
+  
+  return {
+    trim: uniform || isEnabledOption(body.autoCrop),
+    deskew: isEnabledOption(body.deskew),
+    uniform
+  };
+}
+
+/**
+ * Reads the render resolution from an upload request body
+ * @param {object} body - Parsed request body
+ * @returns {number} Pixels per point to render PDF pages at
+ * @throws {Error} HTTP 400 error for resolutions out of range
+ */
+function getRenderScaleFromRequest(body) {
+  return parseNumberOption(body.dpi, 'dpi', MIN_RENDER_DPI, MAX_RENDER_DPI, DEFAULT_RENDER_DPI) / 72;
+}
+
+/**
+ * Reads the result format and its image settings from an upload request body
+ * @param {object} body - Parsed request body
+ * @returns {object} Output settings ({ format, imageFormat, imageQuality, renderScale, colorMode,
+ *   encoding, targetSize: bytes or null })
+ * @throws {Error} HTTP 400 error for unknown formats, modes or encodings and values out of range
+ */
+function getOutputFromRequest(body) {
+  const format = String(body.output || DEFAULT_OUTPUT_FORMAT).toLowerCase();
+  const imageFormat = String(body.imageFormat || DEFAULT_IMAGE_FORMAT).toLowerCase().replace(/^jpg$/, 'jpeg');
+  
+  if (!Object.prototype.hasOwnProperty.call(OUTPUT_FORMATS, format)) {
+    throw createError(400, `Invalid output "${body.output}" (allowed: ${Object.keys(OUTPUT_FORMATS).join(', ')})`);
+  }
+  
+  if (!IMAGE_FORMATS.includes(imageFormat)) {
+    throw createError(400, `Invalid imageFormat "${body.imageFormat}" (allowed: ${IMAGE_FORMATS.join(', ')})`);
+  }
+  
+  const imageQuality = parseNumberOption(body.imageQuality, 'imageQuality', 1, 100, DEFAULT_IMAGE_QUALITY);
+  const colorMode = String(body.colorMode || DEFAULT_COLOR_MODE).toLowerCase();
+  const encoding = String(body.encoding || DEFAULT_IMAGE_ENCODING).toLowerCase().replace(/^jpg$/, 'jpeg');
+  
+  if (!COLOR_MODES.includes(colorMode)) {
+    throw createError(400, `Invalid colorMode "${body.colorMode}" (allowed: ${COLOR_MODES.join(', ')})`);
+  }
+  
+  if (!IMAGE_ENCODINGS.includes(encoding)) {
+    throw createError(400, `Invalid encoding "${body.encoding}" (allowed: ${IMAGE_ENCODINGS.join(', ')})`);
+  }
+  
+  if (colorMode === 'bilevel' && encoding === 'jpeg') {
+    throw createError(400, 'Bilevel images cannot be stored as JPEG (use encoding "png")');
+  }
+  
+  const targetSizeMb = parseNumberOption(body.targetSizeMb, 'targetSizeMb', 0, MAX_TARGET_SIZE_MB, 0);
+  if (targetSizeMb > 0 && OUTPUT_FORMATS[format].extension !== '.pdf') {
+    throw createError(400, 'A target size only applies to PDF results');
+  }
+  
+  return {
+    format,
+    imageFormat,
+    imageQuality: Math.round(imageQuality),
+    renderScale: getRenderScaleFromRequest(body),
+    colorMode,
+    encoding,
+    targetSize: targetSizeMb > 0 ? Math.round(targetSizeMb * 1024 * 1024) : null
+  };
+}
+
+/**
+ * Reads the header, footer and note from an upload request body
+ * @param {object} body - Parsed request body
+ * @param {string} fileName - Name(s) of the uploaded files
+ * @returns {object|null} Stamps ({ header, footer, values }), null if nothing would be printed
+ * @throws {Error} HTTP 400 error for texts that are too long
+ */
+function getStampsFromRequest(body, fileName) {
+  const readText = (value, name, maxLength, defaultValue) => {
+    if (value === undefined || value === null) {
+      return defaultValue;
+    }
+    
+    // Stamps are single lines
+    const text = String(value).replace(/\s+/g, ' ').trim();
+    if (text.length > maxLength) {
+      throw createError(400, `${name} is too long (at most ${maxLength} characters)`);
+    }
+    return text;
+  };
+  
+  const note = readText(body.note, 'note', MAX_NOTE_LENGTH, '');
+  const header = readText(body.header, 'header', MAX_STAMP_TEMPLATE_LENGTH, DEFAULT_HEADER_TEMPLATE);
+  const footer = readText(body.footer, 'footer', MAX_STAMP_TEMPLATE_LENGTH, DEFAULT_FOOTER_TEMPLATE);
+  
+  // Without a note, the default "{note}" header would print nothing
+  const stamps = {
+    header: header === '{note}' && !note ? '' : header,
+    footer: footer === '{note}' && !note ? '' : footer,
+    values: {
+      note,
+      filename: fileName,
+      date: new Date().toLocaleDateString('en-GB')
+    }
+  };
+  
+  return stamps.header || stamps.footer ? stamps : null;
+}
+
+/**
+ * Reads the sheet layout from an upload request body.
+ * Manual grids with a fixed orientation are resolved right away (see resolveSheetLayout);
+ * auto grids and orientations wait for the slides' aspect ratio.
+ * @param {object} body - Parsed request body
+ * @param {string} [fileName] - Name(s) of the uploaded files, for {filename} in headers and footers
+ * @returns {object} Layout; sizes in points ({ mode, columns, rows, numbering, paperWidth, paperHeight, ... })
+ * @throws {Error} HTTP 400 error for invalid layout options
+ */
+function getLayoutFromRequest(body, fileName = '') {
+  const mode = String(body.layoutMode || DEFAULT_LAYOUT_MODE).toLowerCase();
+  const numbering = body.numbering || DEFAULT_NUMBERING;
+  const paper = String(body.paper || DEFAULT_PAPER).toLowerCase();
+  const imposition = String(body.imposition || DEFAULT_IMPOSITION).toLowerCase();
+  const requestedOrientation = String(body.orientation || DEFAULT_ORIENTATION).toLowerCase();
+  
+  if (!LAYOUT_MODES.includes(mode)) {
+    throw createError(400, `Invalid layoutMode "${body.layoutMode}" (allowed: ${LAYOUT_MODES.join(', ')})`);
+  }
+  
+  if (!NUMBERING_MODES.includes(numbering)) {
+    throw createError(400, `Invalid numbering "${numbering}" (allowed: ${NUMBERING_MODES.join(', ')})`);
+  }
+  
+  if (paper !== 'custom' && !Object.prototype.hasOwnProperty.call(PAPER_SIZES, paper)) {
+    throw createError(400, `Invalid paper "${body.paper}" (allowed: ${Object.keys(PAPER_SIZES).join(', ')}, custom)`);
+  }
+  
+  if (requestedOrientation !== 'auto' && !ORIENTATIONS.includes(requestedOrientation)) {
+    throw createError(400, `Invalid orientation "${body.orientation}" (allowed: ${ORIENTATIONS.join(', ')}, auto)`);
+  }
+  
+  if (!IMPOSITIONS.includes(imposition)) {
+    throw createError(400, `Invalid imposition "${body.imposition}" (allowed: ${IMPOSITIONS.join(', ')})`);
+  }
+  
+  // Booklets always fold landscape sheets into portrait pages
+  const orientation = imposition === 'booklet' ? 'landscape' : requestedOrientation;
+  
+  // Paper size, always stored portrait first
+  let [paperWidth, paperHeight] = paper === 'custom'
+    ? [
+        parseNumberOption(body.paperWidth, 'paperWidth', MIN_CUSTOM_PAPER_MM, MAX_CUSTOM_PAPER_MM, NaN) * POINTS_PER_MM,
+        parseNumberOption(body.paperHeight, 'paperHeight', MIN_CUSTOM_PAPER_MM, MAX_CUSTOM_PAPER_MM, NaN) * POINTS_PER_MM
+      ]
+    : PAPER_SIZES[paper];
+  
+  if (Number.isNaN(paperWidth) || Number.isNaN(paperHeight)) {
+    throw createError(400, 'Custom paper needs both paperWidth and paperHeight (in mm)');
+  }
+  
+  if (paperWidth > paperHeight) {
+    [paperWidth, paperHeight] = [paperHeight, paperWidth];
+  }
+  
+  // Margins: "margin" sets every side, marginTop/Right/Bottom/Left override single sides.
+  // Sides left unset get their default once the orientation is known (see orientSheetLayout).
+  const toPoints = (value, name, max, defaultPoints) => {
+    const millimetres = parseNumberOption(value, name, 0, max, null);
+    return millimetres === null ? defaultPoints : millimetres * POINTS_PER_MM;
+  };
+  const sharedMargin = toPoints(body.margin, 'margin', MAX_MARGIN_MM, null);
+  const marginSettings = {
+    top: toPoints(body.marginTop, 'marginTop', MAX_MARGIN_MM, sharedMargin),
+    right: toPoints(body.marginRight, 'marginRight', MAX_MARGIN_MM, sharedMargin),
+    bottom: toPoints(body.marginBottom, 'marginBottom', MAX_MARGIN_MM, sharedMargin),
+    left: toPoints(body.marginLeft, 'marginLeft', MAX_MARGIN_MM, sharedMargin)
+  };
+  
+  // Auto grids aim for a number of slides per sheet, or for slides of at least a given width
+  const slidesPerSheet = parseNumberOption(body.slidesPerSheet, 'slidesPerSheet', 1, MAX_COLUMNS * MAX_ROWS, null);
+  const minSlideWidth = toPoints(body.minSlideWidth, 'minSlideWidth', MAX_CUSTOM_PAPER_MM, null);
+  
+  if (slidesPerSheet !== null && !Number.isInteger(slidesPerSheet)) {
+    throw createError(400, `Invalid slidesPerSheet "${body.slidesPerSheet}": must be a whole number`);
+  }
+  
+  if (slidesPerSheet !== null && minSlideWidth !== null) {
+    throw createError(400, 'Use either slidesPerSheet or minSlideWidth, not both');
+  }
+  
+  if (minSlideWidth !== null && minSlideWidth < MIN_SLIDE_WIDTH_MM * POINTS_PER_MM) {
+    throw createError(400, `Invalid minSlideWidth "${body.minSlideWidth}": must be at least ${MIN_SLIDE_WIDTH_MM} mm`);
+  }
+  
+  const layout = {
+    mode,
+    imposition,
+    newSheetPerFile: isEnabledOption(body.newSheetPerFile),
+    notes: getNotesFromRequest(body),
+    decorations: getDecorationsFromRequest(body),
+    stamps: getStampsFromRequest(body, fileName),
+    columns: validateInteger(body.column, 1, MAX_COLUMNS, DEFAULT_COLUMNS),
+    rows: validateInteger(body.row, 1, MAX_ROWS, DEFAULT_ROWS),
+    slidesPerSheet: minSlideWidth === null ? (slidesPerSheet || DEFAULT_SLIDES_PER_SHEET) : null,
+    minSlideWidth,
+    numbering,
+    paper,
+    orientation,
+    paperWidth,
+    paperHeight,
+    marginSettings,
+    gutter: toPoints(body.gutter, 'gutter', MAX_GUTTER_MM, DEFAULT_GUTTER),
+    padding: toPoints(body.padding, 'padding', MAX_CELL_PADDING_MM, DEFAULT_CELL_PADDING)
+  };
+  
+  // Fixed layouts are resolved now; for the others, a layout that cannot fit even
+  // ideally shaped slides is rejected before processing
+  if (mode === 'manual' && orientation !== 'auto') {
+    return resolveSheetLayout(layout, null);
+  }
+  
+  resolveSheetLayout(layout, null);
+  return layout;
+}
+
+/**
+ * Reads the border and slide number settings from an upload request body
+ * @param {object} body - Parsed request body
+ * @returns {object} Cell decorations ({ border, borderWidth, numberPosition, numberSize, numberDigits })
+ * @throws {Error} HTTP 400 error for invalid decoration options
+ */
+function getDecorationsFromRequest(body) {
+  const border = String(body.border || DEFAULT_BORDER_STYLE).toLowerCase();
+  const numberPosition = String(body.numberPosition || DEFAULT_NUMBER_POSITION).toLowerCase();
+  const numberDigits = String(body.numberDigits || DEFAULT_NUMBER_DIGITS).toLowerCase();
+  
+  if (!BORDER_STYLES.includes(border)) {
+    throw createError(400, `Invalid border "${body.border}" (allowed: ${BORDER_STYLES.join(', ')})`);
+  }
+  
+  if (!NUMBER_POSITIONS.includes(numberPosition)) {
+    throw createError(400, `Invalid numberPosition "${body.numberPosition}" (allowed: ${NUMBER_POSITIONS.join(', ')})`);
+  }
+  
+  if (!NUMBER_DIGITS.includes(numberDigits)) {
+    throw createError(400, `Invalid numberDigits "${body.numberDigits}" (allowed: ${NUMBER_DIGITS.join(', ')})`);
+  }
+  
+  return {
+    border,
+    borderWidth: parseNumberOption(body.borderWidth, 'borderWidth', MIN_BORDER_WIDTH, MAX_BORDER_WIDTH, DEFAULT_BORDER_WIDTH),
+    numberPosition,
+    numberSize: parseNumberOption(body.numberSize, 'numberSize', MIN_NUMBER_SIZE, MAX_NUMBER_SIZE, DEFAULT_NUMBER_SIZE),
+    numberDigits
+  };
+}
+
+/**
+ * Reads the note-taking area settings from an upload request body
+ * @param {object} body - Parsed request body
+ * @returns {object|null} Notes settings ({ style, position, spacing in points, share }), null without notes
+ * @throws {Error} HTTP 400 error for invalid notes options
+ */
+function getNotesFromRequest(body) {
+  const style = String(body.notes || DEFAULT_NOTES_STYLE).toLowerCase();
+  const position = String(body.notesPosition || DEFAULT_NOTES_POSITION).toLowerCase();
+  
+  if (!NOTES_STYLES.includes(style)) {
+    throw createError(400, `Invalid notes "${body.notes}" (allowed: ${NOTES_STYLES.join(', ')})`);
+  }
+  
+  if (!NOTES_POSITIONS.includes(position)) {
+    throw createError(400, `Invalid notesPosition "${body.notesPosition}" (allowed: ${NOTES_POSITIONS.join(', ')})`);
+  }
+  
+  const spacing = parseNumberOption(
+    body.notesSpacing, 'notesSpacing', MIN_NOTES_SPACING_MM, MAX_NOTES_SPACING_MM, DEFAULT_NOTES_SPACING_MM
+  );
+  const share = parseNumberOption(body.notesShare, 'notesShare', MIN_NOTES_SHARE, MAX_NOTES_SHARE, DEFAULT_NOTES_SHARE);
+  
+  if (style === 'none') {
+    return null;
+  }
+  
+  return { style, position, spacing: spacing * POINTS_PER_MM, share };
+}
+
+/**
+ * Places a layout on its paper in one orientation with a given grid
+ * @param {object} layout - Layout from getLayoutFromRequest
+ * @param {string} orientation - One of ORIENTATIONS
+ * @param {number} columns - Columns per sheet
+ * @param {number} rows - Rows per sheet
+ * @returns {object} Layout with pageWidth, pageHeight (of one grid page) and margins in points
+ */
+function orientSheetLayout(layout, orientation, columns, rows) {
+  let [pageWidth, pageHeight] = orientation === 'landscape'
+    ? [layout.paperHeight, layout.paperWidth]
+    : [layout.paperWidth, layout.paperHeight];
+  
+  // A booklet page is one half of the sheet
+  if (layout.imposition === 'booklet') {
+    pageWidth /= 2;
+  }
+  
+  const margins = {};
+  for (const side of Object.keys(DEFAULT_MARGINS)) {
+    const setting = layout.marginSettings[side];
+    if (setting !== null) {
+      margins[side] = setting;
+    } else {
+      margins[side] = side === 'bottom' ? pageHeight * DEFAULT_BOTTOM_MARGIN_RATIO : DEFAULT_MARGINS[side];
+    }
+  }
+  
+  // Headers and footers need their band clear of slides
+  if (layout.stamps && layout.stamps.header) {
+    margins.top = Math.max(margins.top, STAMP_BAND_HEIGHT);
+  }
+  if (layout.stamps && layout.stamps.footer) {
+    margins.bottom = Math.max(margins.bottom, STAMP_BAND_HEIGHT);
+  }
+  
+  return { ...layout, orientation, columns, rows, pageWidth, pageHeight, margins };
+}
+
+/**
+ * Measures how large a slide would be drawn in every cell of a sheet layout
+ * @param {object} sheet - Oriented layout (see orientSheetLayout)
+ * @param {number|null} aspectRatio - Slide width / height, null to fill the whole cell
+ * @returns {object} Slide size in points ({ width, height }), zero if the cells are too small
+ */
+function measureSlideSize(sheet, aspectRatio) {
+  const { slideWidth, slideHeight } = computeGrid(sheet);
+  const innerWidth = slideWidth - 2 * sheet.padding;
+  const innerHeight = slideHeight - 2 * sheet.padding;
+  
+  if (Math.min(innerWidth, innerHeight) < MIN_CELL_SIZE) {
+    return { width: 0, height: 0 };
+  }
+  
+  if (!aspectRatio) {
+    return { width: innerWidth, height: innerHeight };
+  }
+  
+  const width = Math.min(innerWidth, innerHeight * aspectRatio);
+  return { width, height: width / aspectRatio };
+}
+
+/**
+ * Settles the orientation and grid of a layout.
+ * Manual grids keep their rows and columns; auto grids try every grid that fits the
+ * limits and keep the one with the largest slides that still meets the target
+ * (slidesPerSheet cells, or slides at least minSlideWidth wide).
+ * An "auto" orientation picks whichever orientation gives the larger slides.
+ * @param {object} layout - Layout from getLayoutFromRequest (already resolved layouts pass through)
+ * @param {number|null} aspectRatio - Typical slide width / height, null if unknown
+ * @returns {object} Layout ready for createPdfFromImages
+ * @throws {Error} HTTP 400 error if no grid leaves room for the slides
+ */
+function resolveSheetLayout(layout, aspectRatio) {
+  if (layout.pageWidth) {
+    return layout;
+  }
+  
+  const orientations = layout.orientation === 'auto' ? ORIENTATIONS : [layout.orientation];
+  const grids = [];
+  
+  if (layout.mode === 'auto') {
+    for (let columns = 1; columns <= MAX_COLUMNS; columns++) {
+      for (let rows = 1; rows <= MAX_ROWS; rows++) {
+        grids.push([columns, rows]);
+      }
+    }
+  } else {
+    grids.push([layout.columns, layout.rows]);
+  }
+  
+  // With a width target more slides per sheet win, otherwise larger slides
+  const prefersMoreSlides = layout.mode === 'auto' && layout.minSlideWidth !== null;
+  let best = null;
+  
+  for (const orientation of orientations) {
+    for (const [columns, rows] of grids) {
+      const sheet = orientSheetLayout(layout, orientation, columns, rows);
+      const slide = measureSlideSize(sheet, aspectRatio);
+      const cells = columns * rows;
+      const area = slide.width * slide.height;
+      
+      if (area === 0) {
+        continue;
+      }
+      
+      // Targets of auto grids
+      if (layout.mode === 'auto') {
+        if (layout.minSlideWidth !== null && slide.width < layout.minSlideWidth) {
+          continue;
+        }
+        if (layout.slidesPerSheet !== null && cells < layout.slidesPerSheet) {
+          continue;
+        }
+      }
+      
+      // Ties go to larger slides, then to fewer (so less empty) cells
+      let isBetter;
+      if (!best) {
+        isBetter = true;
+      } else if (prefersMoreSlides && cells !== best.cells) {
+        isBetter = cells > best.cells;
+      } else if (Math.abs(area - best.area) > 0.01) {
+        isBetter = area > best.area;
+      } else {
+        isBetter = cells < best.cells;
+      }
+      
+      if (isBetter) {
+        best = { sheet, cells, area };
+      }
+    }
+  }
+  
+  if (!best) {
+    if (layout.mode === 'auto') {
+      const target = layout.minSlideWidth !== null
+        ? `slides ${(layout.minSlideWidth / POINTS_PER_MM).toFixed(0)} mm wide`
+        : `${layout.slidesPerSheet} slides`;
+      throw createError(400, `No grid fits ${target} on one sheet (reduce margins, gutter or padding, or use larger paper)`);
+    }
+    
+    const sheet = orientSheetLayout(layout, orientations[0], layout.columns, layout.rows);
+    const { cellWidth, cellHeight } = computeGrid(sheet);
+    throw createError(400, `Layout leaves no room for slides: ${layout.rows} x ${layout.columns} cells of ` +
+      `${cellWidth.toFixed(0)} x ${cellHeight.toFixed(0)}pt with ${layout.padding.toFixed(1)}pt padding ` +
+      `(reduce margins, gutter, padding, rows or columns)`);
+  }
+  
+  return best.sheet;
+}
+
+/**
+ * Describes the sheet layout a job ended up with (reported in its status)
+ * @param {object} sheet - Resolved layout (see resolveSheetLayout)
+ * @returns {object} Summary ({ columns, rows, orientation, imposition, paper, pageWidth, pageHeight } of the output pages)
+ */
+function describeSheetLayout(sheet) {
+  // Booklet sheets hold two grid pages side by side
+  const sheetWidth = sheet.imposition === 'booklet' ? sheet.pageWidth * 2 : sheet.pageWidth;
+  
+  return {
+    columns: sheet.columns,
+    rows: sheet.rows,
+    orientation: sheet.orientation,
+    imposition: sheet.imposition,
+    paper: sheet.paper,
+    pageWidth: Math.round(sheetWidth * 100) / 100,
+    pageHeight: Math.round(sheet.pageHeight * 100) / 100
+  };
+}
+
+// =======================
+// 8. EXPRESS APPLICATION SETUP
+// =======================
+const app = express();
+
+// Set up view engine (Jade/Pug)
+app.set('views', path.join(__dirname, 'views'));
+app.set('view engine', 'jade');
 
 // =======================
-// 8. MIDDLEWARE
+// 9. MIDDLEWARE
 // =======================
 app.use(logger('dev')); // Log HTTP requests
 app.use(express.json()); // Parse JSON request bodies
@@ -485,7 +3437,7 @@ app.use(express.static(path.join(__dirname, 'public'))); // Serve static files
 app.use(cors()); // Enable Cross-Origin Resource Sharing
 
 // =======================
-// 9. FILE UPLOAD CONFIGURATION
+// 10. FILE UPLOAD CONFIGURATION
 // =======================
 
 // Ensure upload folder exists at startup
@@ -499,43 +3451,261 @@ try {
   process.exit(1); // Exit if we can't create essential folders
 }
 
-// Configure file storage
-const storageConfig = multer.diskStorage({
-  destination: (request, file, callback) => {
-    callback(null, UPLOAD_FOLDER);
-  },
-  filename: (request, file, callback) => {
-    // Create unique filename with timestamp
-    const timestamp = Date.now();
-    const uniqueFilename = `pdf_${timestamp}.pdf`;
-    callback(null, uniqueFilename);
+// Configure file storage
+const storageConfig = multer.diskStorage({
+  destination: (request, file, callback) => {
+    callback(null, UPLOAD_FOLDER);
+  },
+  filename: (request, file, callback) => {
+    // Name the uploads after their job (and position) so concurrent uploads never collide
+    request.jobId = request.jobId || generateJobId();
+    request.uploadCount = (request.uploadCount || 0) + 1;
+    const extension = getUploadKind(file) === 'pdf' ? '.pdf' : path.extname(file.originalname).toLowerCase();
+    const uniqueFilename = `${request.jobId}_${request.uploadCount}${extension}`;
+    callback(null, uniqueFilename);
+  }
+});
+
+// Validate uploaded files
+const fileFilterConfig = (request, file, callback) => {
+  if (getUploadKind(file)) {
+    callback(null, true);
+  } else {
+    callback(createError(400, 'Only PDF files and PNG, JPEG or WebP images are allowed', {
+      code: UPLOAD_ERROR_CODES.UNSUPPORTED_FILE
+    }), false);
+  }
+};
+
+// Create multer upload instance
+const upload = multer({
+  storage: storageConfig,
+  fileFilter: fileFilterConfig,
+  limits: {
+    fileSize: MAX_FILE_SIZE,
+    files: MAX_UPLOAD_FILES
+  }
+});
+
+/**
+ * Accepts the files of an upload request (field "pdf", in order),
+ * turning multer's limit errors into coded HTTP errors
+ * @param {object} request - Express request
+ * @param {object} response - Express response
+ * @param {function} next - Next middleware
+ */
+function acceptUploads(request, response, next) {
+  upload.array('pdf', MAX_UPLOAD_FILES)(request, response, (error) => {
+    if (error instanceof multer.MulterError) {
+      if (error.code === 'LIMIT_FILE_SIZE') {
+        return next(createError(413, `Files may be at most ${MAX_FILE_SIZE / 1024 / 1024} MB each`, {
+          code: UPLOAD_ERROR_CODES.FILE_TOO_LARGE
+        }));
+      }
+      
+      // Multer also reports files sent under another field name as unexpected
+      if (error.code === 'LIMIT_UNEXPECTED_FILE' && error.field !== 'pdf') {
+        return next(createError(400, `Unexpected file field "${error.field}": send files in the "pdf" field`, {
+          code: UPLOAD_ERROR_CODES.UNSUPPORTED_FILE
+        }));
+      }
+      
+      if (error.code === 'LIMIT_FILE_COUNT' || error.code === 'LIMIT_UNEXPECTED_FILE') {
+        return next(createError(400, `At most ${MAX_UPLOAD_FILES} files can be uploaded at once`, {
+          code: UPLOAD_ERROR_CODES.TOO_MANY_FILES
+        }));
+      }
+      
+      return next(createError(400, error.message));
+    }
+    
+    next(error);
+  });
+}
+
+/**
+ * Tells PDFs and images apart by MIME type, or by extension for images sent without one
+ * @param {object} file - Multer file
+ * @returns {string|null} 'pdf', 'image' or null for files that are not accepted
+ */
+function getUploadKind(file) {
+  if (file.mimetype === 'application/pdf') {
+    return 'pdf';
+  }
+  
+  if (IMAGE_MIME_TYPES.includes(file.mimetype)) {
+    return 'image';
+  }
+  
+  const isImageName = IMAGE_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase());
+  return file.mimetype === 'application/octet-stream' && isImageName ? 'image' : null;
+}
+
+/**
+ * Lists the files of an upload request in the order they were sent
+ * @param {object} request - Express request after multer
+ * @returns {object[]} Sources ({ path, name, kind })
+ */
+function getUploadedSources(request) {
+  return (request.files || []).map((file) => ({
+    path: file.path,
+    name: getUploadName(file),
+    kind: getUploadKind(file)
+  }));
+}
+
+/**
+ * Opens an uploaded PDF, with its password if it has one
+ * @param {object} source - Uploaded PDF ({ path, name, password })
+ * @returns {Promise<object>} Loaded PDFToImage document
+ * @throws {Error} HTTP 400 error coded ENCRYPTED or INVALID_PDF if the PDF cannot be opened
+ */
+async function openPdfSource(source) {
+  try {
+    return await new PDFToImage().load(source.path, source.password ? { password: source.password } : undefined);
+  } catch (error) {
+    // PDF.js errors arrive as text, such as "PasswordException: Incorrect Password"
+    if (/PasswordException/.test(error.message)) {
+      const problem = source.password ? 'the password is incorrect' : 'it needs a password';
+      throw createError(400, `${source.name} is encrypted and ${problem}`, { code: UPLOAD_ERROR_CODES.ENCRYPTED });
+    }
+    
+    throw createError(400, `${source.name} is damaged or not a valid PDF`, { code: UPLOAD_ERROR_CODES.INVALID_PDF });
+  }
+}
+
+/**
+ * Checks uploaded files by their content before any job starts: PDFs must carry a PDF header and
+ * open (with the password for encrypted ones), images must really be PNG, JPEG or WebP, and
+ * the upload must stay within the page count and page size limits.
+ * @param {object[]} sources - Uploaded files ({ path, name, kind }); PDFs get the password attached
+ * @param {string} [password] - Password for encrypted PDFs
+ * @param {number} [renderScale] - Pixels per point the pages will be rendered at
+ * @returns {Promise<number>} Number of pages across all files
+ * @throws {Error} HTTP 400 error with one of UPLOAD_ERROR_CODES
+ */
+async function validateUploadedSources(sources, password, renderScale = RENDER_VIEWPORT_SCALE) {
+  let totalPages = 0;
+  
+  for (const source of sources) {
+    if (source.kind === 'image') {
+      const metadata = await sharp(source.path).metadata().catch(() => ({}));
+      
+      if (!IMAGE_FORMATS_ACCEPTED.includes(metadata.format)) {
+        throw createError(400, `${source.name} is not a PNG, JPEG or WebP image`, { code: UPLOAD_ERROR_CODES.INVALID_IMAGE });
+      }
+      if (metadata.width * metadata.height > MAX_PAGE_PIXELS) {
+        throw createError(400, `${source.name} is larger than ${MAX_PAGE_PIXELS / 1e6} megapixels`, {
+          code: UPLOAD_ERROR_CODES.PAGE_TOO_LARGE
+        });
+      }
+      
+      totalPages++;
+      continue;
+    }
+    
+    // Trust the content, not the MIME type the client claimed
+    const fileHandle = await fs.open(source.path, 'r');
+    const header = Buffer.alloc(PDF_SIGNATURE_SEARCH_LENGTH);
+    try {
+      await fileHandle.read(header, 0, PDF_SIGNATURE_SEARCH_LENGTH, 0);
+    } finally {
+      await fileHandle.close();
+    }
+    
+    if (!header.includes(PDF_SIGNATURE)) {
+      throw createError(400, `${source.name} is not a PDF file`, { code: UPLOAD_ERROR_CODES.INVALID_PDF });
+    }
+    
+    source.password = password || undefined;
+    const pdf = await openPdfSource(source);
+    
+    try {
+      const pageCount = pdf.document.numPages;
+      totalPages += pageCount;
+      
+      if (totalPages > MAX_UPLOAD_PAGES) {
+        throw createError(400, `Uploads may have at most ${MAX_UPLOAD_PAGES} pages in total`, {
+          code: UPLOAD_ERROR_CODES.TOO_MANY_PAGES
+        });
+      }
+      
+      await checkPdfPageSizes(source, pdf, renderScale);
+    } finally {
+      await pdf.document.destroy();
+    }
+  }
+  
+  return totalPages;
+}
+
+/**
+ * Checks that every page of an open PDF stays within MAX_PAGE_PIXELS at the render scale
+ * @param {object} source - Uploaded file ({ name })
+ * @param {object} pdf - Loaded PDFToImage instance
+ * @param {number} renderScale - Pixels per point the pages will be rendered at
+ * @throws {Error} HTTP 400 error with code PAGE_TOO_LARGE
+ */
+async function checkPdfPageSizes(source, pdf, renderScale) {
+  for (let pageNumber = 1; pageNumber <= pdf.document.numPages; pageNumber++) {
+    const page = await pdf.document.getPage(pageNumber);
+    const { width, height } = page.getViewport({ scale: renderScale });
+    
+    if (width * height > MAX_PAGE_PIXELS) {
+      throw createError(400, `Page ${pageNumber} of ${source.name} is too large to render`, {
+        code: UPLOAD_ERROR_CODES.PAGE_TOO_LARGE
+      });
+    }
   }
-});
+}
 
-// Validate uploaded files
-const fileFilterConfig = (request, file, callback) => {
-  const allowedMimeTypes = ['application/pdf'];
-  
-  if (allowedMimeTypes.includes(file.mimetype)) {
-    callback(null, true);
-  } else {
-    const error = new Error('Only PDF files are allowed');
-    error.status = 400;
-    callback(error, false);
+/**
+ * Checks the PDFs kept from an earlier preview again.
+ * They were validated at the render scale of the request that uploaded them,
+ * and a later request may ask for a higher DPI or bring a corrected password.
+ * A new password is kept for later requests once the PDF opens with it.
+ * @param {object[]} sources - Kept files ({ path, name, kind, password })
+ * @param {string} [password] - New password for encrypted PDFs; the stored one is used without it
+ * @param {number} renderScale - Pixels per point the pages will be rendered at
+ * @throws {Error} HTTP 400 error with code ENCRYPTED or PAGE_TOO_LARGE
+ */
+async function validateKeptSources(sources, password, renderScale) {
+  for (const source of sources) {
+    if (source.kind === 'image') {
+      continue;
+    }
+    
+    const sourcePassword = password || source.password;
+    const pdf = await openPdfSource({ ...source, password: sourcePassword });
+    try {
+      await checkPdfPageSizes(source, pdf, renderScale);
+    } finally {
+      await pdf.document.destroy();
+    }
+    source.password = sourcePassword;
   }
-};
+}
 
-// Create multer upload instance
-const upload = multer({
-  storage: storageConfig,
-  fileFilter: fileFilterConfig,
-  limits: {
-    fileSize: MAX_FILE_SIZE
-  }
-});
+/**
+ * Deletes uploaded files
+ * @param {object[]} sources - Uploaded files ({ path })
+ */
+async function removeSourceFiles(sources) {
+  await Promise.all(sources.map((source) => removeFile(source.path)));
+}
+
+/**
+ * Reads the original name of an uploaded file.
+ * Browsers send names as UTF-8 but multer decodes them as Latin-1, which garbles Bengali names.
+ * @param {object} file - Multer file
+ * @returns {string} File name as the user saw it
+ */
+function getUploadName(file) {
+  return Buffer.from(file.originalname, 'latin1').toString('utf8');
+}
 
 // =======================
-// 10. ROUTES
+// 11. ROUTES
 // =======================
 app.use('/', indexRouter);
 app.use('/users', usersRouter);
@@ -546,162 +3716,393 @@ app.get('/', (request, response) => {
   response.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
-// PDF Processing API Endpoint
+// Available processing presets and saved recipes (fills the mood selector of the frontend)
+app.get('/api/presets', async (request, response) => {
+  try {
+    const builtinPresets = Object.keys(PROCESSING_PRESETS).map((id) => ({
+      id,
+      label: PROCESSING_PRESETS[id].label,
+      description: PROCESSING_PRESETS[id].description,
+      source: 'builtin',
+      steps: PROCESSING_PRESETS[id].steps
+    }));
+    const savedRecipes = await listSavedRecipes();
+    
+    response.json({
+      success: true,
+      defaultPreset: DEFAULT_PRESET,
+      steps: RECIPE_STEPS,
+      presets: [...builtinPresets, ...savedRecipes]
+    });
+  } catch (error) {
+    console.error('Failed to list presets:', error);
+    response.status(500).json({
+      success: false,
+      error: 'Failed to list presets'
+    });
+  }
+});
+
+/**
+ * Names the result of a job after its first uploaded file and format,
+ * such as "lecture-3-handout.pdf" or "lecture-3-slides.zip"
+ * @param {object} job - Job record
+ * @returns {string} Download file name
+ */
+function getResultFileName(job) {
+  const format = OUTPUT_FORMATS[job.options.output.format];
+  const firstName = job.sources.length > 0 ? job.sources[0].name : '';
+  const baseName = path.parse(firstName).name.replace(/[\\/:*?"<>|\u0000-\u001f]+/g, '_').trim() || 'FinalOutput';
+  
+  return `${baseName}-${format.suffix}${format.extension}`;
+}
+
+/**
+ * Sends the result file of a finished job
+ * @param {object} response - Express response
+ * @param {object} job - Job record in the DONE state
+ * @returns {object} The file read stream
+ */
+function sendJobResult(response, job) {
+  // attachment() also encodes non-ASCII (Bengali) names for the Content-Disposition header
+  response.attachment(getResultFileName(job));
+  response.setHeader('Content-Type', OUTPUT_FORMATS[job.options.output.format].contentType);
+  
+  // The grid that was used, which auto layouts only settle while processing
+  if (job.layout) {
+    response.setHeader('X-Layout-Columns', job.layout.columns);
+    response.setHeader('X-Layout-Rows', job.layout.rows);
+    response.setHeader('X-Layout-Orientation', job.layout.orientation);
+  }
+  
+  // Pages left out as animation build-up steps
+  if (job.dedupe) {
+    response.setHeader('X-Dropped-Pages', job.dedupe.dropped.map((entry) => entry.page).join(','));
+  }
+  
+  const readStream = fsSync.createReadStream(job.resultPath);
+  readStream.pipe(response);
+  
+  // Handle stream errors
+  readStream.on('error', (error) => {
+    console.error('Stream error:', error);
+    if (!response.headersSent) {
+      response.status(500).json({ success: false, error: 'Failed to read result file' });
+    } else {
+      response.destroy(error);
+    }
+  });
+  
+  return readStream;
+}
+
+// Synchronous PDF Processing API Endpoint (waits for the job and returns the PDF)
 app.post(
   '/api/process-pdf',
-  upload.single('pdf'), // Handle single PDF upload
+  acceptUploads, // PDFs and images, in the order they should appear
   async (request, response) => {
+    const sources = getUploadedSources(request);
+    
+    // Validate files were uploaded
+    if (sources.length === 0) {
+      return response.status(400).json({
+        success: false,
+        error: 'No PDF file uploaded'
+      });
+    }
+    
+    let options;
     try {
-      // Validate file was uploaded
-      if (!request.file) {
-        return response.status(400).json({
-          success: false,
-          error: 'No PDF file uploaded'
-        });
-      }
-      
-      // Extract parameters with defaults
-      const rows = request.body.row || DEFAULT_ROWS.toString();
-      const columns = request.body.column || DEFAULT_COLUMNS.toString();
-      
-      // Process the PDF
-      await processPdfPipeline(request.file.path, rows, columns);
-      
-      // Check if final PDF was created
+      const pageCount = await validateUploadedSources(sources, request.body.password, getRenderScaleFromRequest(request.body));
+      options = await getJobOptionsFromRequest(request.body, sources);
+      // Reject pages past the end now, not once the job has started
+      resolvePageSelection(options.pageSelection, pageCount);
+    } catch (error) {
+      await removeSourceFiles(sources);
+      return response.status(error.status || 400).json({
+        success: false,
+        code: error.code,
+        error: error.message
+      });
+    }
+    
+    const job = createJob(request.jobId, sources, options);
+    await scheduleJob(job);
+    
+    if (job.state !== JOB_STATES.DONE) {
+      await discardJob(job);
+      return response.status(job.errorStatus || 500).json({
+        success: false,
+        code: job.errorCode || undefined,
+        error: job.error || 'PDF processing failed'
+      });
+    }
+    
+    const readStream = sendJobResult(response, job);
+    
+    // Nobody can ask for this job again, so clean up as soon as it was sent
+    readStream.on('close', () => {
+      discardJob(job).catch((error) => {
+        console.warn('Failed to clean up files:', error.message);
+      });
+    });
+  }
+);
+
+// Asynchronous job API: accept the upload and return a job ID straight away
+app.post(
+  '/api/jobs',
+  acceptUploads,
+  async (request, response) => {
+    const sources = getUploadedSources(request);
+    
+    if (sources.length === 0) {
+      return response.status(400).json({
+        success: false,
+        error: 'No PDF file uploaded'
+      });
+    }
+    
+    let options;
+    try {
+      const pageCount = await validateUploadedSources(sources, request.body.password, getRenderScaleFromRequest(request.body));
+      options = await getJobOptionsFromRequest(request.body, sources);
+      // Reject pages past the end now, not once the job has started
+      resolvePageSelection(options.pageSelection, pageCount);
+    } catch (error) {
+      await removeSourceFiles(sources);
+      return response.status(error.status || 400).json({
+        success: false,
+        code: error.code,
+        error: error.message
+      });
+    }
+    
+    const job = createJob(request.jobId, sources, options);
+    scheduleJob(job);
+    
+    response.status(202)
+      .location(`/api/jobs/${job.id}`)
+      .json({
+        success: true,
+        jobId: job.id,
+        statusUrl: `/api/jobs/${job.id}`,
+        job: serializeJob(job)
+      });
+  }
+);
+
+// Preview of one processed page (and optionally the first sheet) before processing everything.
+// Send the files, or the "fileId" returned by an earlier preview, plus "page" and the usual options.
+app.post(
+  '/api/preview',
+  acceptUploads,
+  async (request, response) => {
+    const uploadedSources = getUploadedSources(request);
+    let previewUpload;
+    
+    if (uploadedSources.length > 0) {
       try {
-        await fs.access(FINAL_PDF_PATH);
+        await validateUploadedSources(uploadedSources, request.body.password, getRenderScaleFromRequest(request.body));
       } catch (error) {
-        return response.status(500).json({
+        await removeSourceFiles(uploadedSources);
+        return response.status(error.status || 400).json({
           success: false,
-          error: 'PDF processing completed but output file was not created'
+          code: error.code,
+          error: error.message
         });
       }
-      
-      // Send the processed PDF to client
-      response.setHeader('Content-Type', 'application/pdf');
-      response.setHeader('Content-Disposition', 'attachment; filename="FinalOutput.pdf"');
-      
-      const readStream = fsSync.createReadStream(FINAL_PDF_PATH);
-      readStream.pipe(response);
-      
-      // Clean up files after streaming is complete
-      readStream.on('close', async () => {
-        try {
-          // Remove the uploaded PDF file
-          await removeFile(request.file.path);
-          console.log('Cleaned up uploaded PDF file');
-          
-          // Remove the final generated PDF file
-          await removeFile(FINAL_PDF_PATH);
-          console.log('Cleaned up final generated PDF file');
-          
-          // Optional: Also clean up any old files in uploads folder
-          try {
-            const files = await fs.readdir(UPLOAD_FOLDER);
-            const currentTime = Date.now();
-            const ONE_HOUR = 60 * 60 * 1000; // 1 hour in milliseconds
-            
-            for (const file of files) {
-              const filePath = path.join(UPLOAD_FOLDER, file);
-              const stats = await fs.stat(filePath);
-              
-              // Remove files older than 1 hour to prevent storage buildup
-              if (currentTime - stats.mtimeMs > ONE_HOUR) {
-                await removeFile(filePath);
-                console.log(`Cleaned up old file: ${file}`);
-              }
-            }
-          } catch (cleanupError) {
-            console.warn('Failed to clean up old uploads:', cleanupError.message);
-          }
-          
-        } catch (cleanupError) {
-          console.warn('Failed to clean up files:', cleanupError.message);
-        }
-      });
-      
-      // Handle stream errors
-      readStream.on('error', async (error) => {
-        console.error('Stream error:', error);
-        try {
-          await removeFile(request.file.path);
-          await removeFile(FINAL_PDF_PATH);
-        } catch (cleanupError) {
-          console.warn('Failed to clean up files after stream error:', cleanupError.message);
-        }
-      });
-      
-      // Handle response finish event
-      response.on('finish', () => {
-        console.log('Response sent successfully to client');
+      previewUpload = keepPreviewUpload(request.jobId, uploadedSources);
+    } else if (previewUploads.has(request.body.fileId)) {
+      previewUpload = keepPreviewUpload(request.body.fileId);
+    } else {
+      return response.status(request.body.fileId ? 404 : 400).json({
+        success: false,
+        error: request.body.fileId ? 'Uploaded file not found (it may have expired)' : 'No PDF file uploaded'
       });
-      
-    } catch (error) {
-      console.error('API processing error:', error);
-      
-      // Clean up uploaded file on error
-      if (request.file && request.file.path) {
-        try {
-          await removeFile(request.file.path);
-        } catch (cleanupError) {
-          console.warn('Failed to clean up uploaded file after error:', cleanupError.message);
-        }
+    }
+    
+    try {
+      if (uploadedSources.length === 0) {
+        await validateKeptSources(previewUpload.sources, request.body.password, getRenderScaleFromRequest(request.body));
       }
       
-      // Clean up final PDF if it exists
-      try {
-        await removeFile(FINAL_PDF_PATH);
-      } catch (cleanupError) {
-        // Ignore if file doesn't exist
+      const pageNumber = Number(request.body.page || 1);
+      if (!Number.isInteger(pageNumber) || pageNumber < 1) {
+        throw createError(400, `Invalid page "${request.body.page}": must be a page number`);
       }
       
-      response.status(500).json({
+      const options = await getJobOptionsFromRequest(request.body, previewUpload.sources);
+      const preview = await renderPreview(
+        previewUpload.sources,
+        pageNumber,
+        options,
+        isEnabledOption(request.body.sheet)
+      );
+      
+      response.json({
+        success: true,
+        fileId: previewUpload.id,
+        page: `data:image/jpeg;base64,${preview.page.toString('base64')}`,
+        inversion: preview.inversion,
+        sheet: preview.sheet && `data:image/jpeg;base64,${preview.sheet.toString('base64')}`
+      });
+    } catch (error) {
+      console.error('Preview error:', error.message);
+      response.status(error.status || 500).json({
         success: false,
-        error: error.message || 'PDF processing failed'
+        code: error.status ? error.code : undefined,
+        error: error.status ? error.message : 'Preview failed'
       });
     }
   }
 );
 
-// Add a cleanup route for manual cleanup if needed
-app.post('/api/cleanup', async (request, response) => {
-  try {
-    let cleanedFiles = [];
-    
-    // Clean up final PDF if exists
-    try {
-      await fs.access(FINAL_PDF_PATH);
-      await removeFile(FINAL_PDF_PATH);
-      cleanedFiles.push('FinalOutput.pdf');
-    } catch (error) {
-      // File doesn't exist, ignore
+// Job status
+app.get('/api/jobs/:id', (request, response) => {
+  const job = jobs.get(request.params.id);
+  
+  if (!job) {
+    return response.status(404).json({
+      success: false,
+      error: 'Job not found'
+    });
+  }
+  
+  response.json({
+    success: true,
+    job: serializeJob(job)
+  });
+});
+
+/**
+ * Writes one Server-Sent Event
+ * @param {object} response - Express response
+ * @param {string} eventName - Event name
+ * @param {object} data - Event payload (sent as JSON)
+ */
+function writeServerSentEvent(response, eventName, data) {
+  response.write(`event: ${eventName}\n`);
+  response.write(`data: ${JSON.stringify(data)}\n\n`);
+}
+
+// Job progress stream (Server-Sent Events)
+// Emits "progress" while the job runs, then a final "done" or "failed" event
+app.get('/api/jobs/:id/events', (request, response) => {
+  const job = jobs.get(request.params.id);
+  
+  if (!job) {
+    return response.status(404).json({
+      success: false,
+      error: 'Job not found'
+    });
+  }
+  
+  response.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Stop reverse proxies from buffering the stream
+  });
+  
+  const sendUpdate = (updatedJob) => {
+    if (response.writableEnded) {
+      return;
     }
     
-    // Clean up temporary folders
-    await Promise.all([
-      removeFolder(TEMP_UPLOAD_FOLDER),
-      removeFolder(STAGE_1_FOLDER),
-      removeFolder(STAGE_2_FOLDER),
-      removeFolder(FINAL_FOLDER)
-    ]);
-    
-    // Clean up old files in uploads folder
-    try {
-      const files = await fs.readdir(UPLOAD_FOLDER);
-      for (const file of files) {
-        const filePath = path.join(UPLOAD_FOLDER, file);
-        await removeFile(filePath);
-        cleanedFiles.push(file);
-      }
-    } catch (error) {
-      // Ignore errors
+    if (updatedJob.state === JOB_STATES.DONE) {
+      writeServerSentEvent(response, 'done', serializeJob(updatedJob));
+      response.end();
+    } else if (updatedJob.state === JOB_STATES.FAILED) {
+      writeServerSentEvent(response, 'failed', serializeJob(updatedJob));
+      response.end();
+    } else {
+      writeServerSentEvent(response, 'progress', serializeJob(updatedJob));
     }
+  };
+  
+  // Keep idle connections open through proxies while long steps run
+  const heartbeat = setInterval(() => response.write(': heartbeat\n\n'), SSE_HEARTBEAT_INTERVAL);
+  
+  job.events.on('update', sendUpdate);
+  response.on('close', () => {
+    clearInterval(heartbeat);
+    job.events.off('update', sendUpdate);
+  });
+  
+  // Send the current state right away so late subscribers are not left waiting
+  sendUpdate(job);
+});
+
+// Job result download
+app.get('/api/jobs/:id/result', (request, response) => {
+  const job = jobs.get(request.params.id);
+  
+  if (!job) {
+    return response.status(404).json({
+      success: false,
+      error: 'Job not found'
+    });
+  }
+  
+  if (job.state !== JOB_STATES.DONE) {
+    return response.status(409).json({
+      success: false,
+      error: job.state === JOB_STATES.FAILED ? job.error : 'Job is not finished yet',
+      job: serializeJob(job)
+    });
+  }
+  
+  sendJobResult(response, job);
+});
+
+/**
+ * Lets only requests carrying the admin token through
+ * @param {object} request - Express request
+ * @param {object} response - Express response
+ * @param {function} next - Next middleware
+ */
+function requireAdmin(request, response, next) {
+  if (!ADMIN_TOKEN) {
+    return response.status(403).json({
+      success: false,
+      error: 'Admin API is disabled (ADMIN_TOKEN is not set)'
+    });
+  }
+  
+  const [scheme, token] = String(request.get('Authorization') || '').split(' ');
+  const expected = Buffer.from(ADMIN_TOKEN);
+  const received = Buffer.from(token || '');
+  const isValid = scheme === 'Bearer' &&
+    received.length === expected.length &&
+    crypto.timingSafeEqual(received, expected);
+  
+  if (!isValid) {
+    return response.status(401)
+      .set('WWW-Authenticate', 'Bearer')
+      .json({ success: false, error: 'Admin token required' });
+  }
+  
+  next();
+}
+
+// Retention report of the last sweep (admin only)
+app.get('/api/cleanup', requireAdmin, (request, response) => {
+  response.json({
+    success: true,
+    report: lastRetentionReport
+  });
+});
+
+// Run a retention sweep now and report what it removed (admin only)
+app.post('/api/cleanup', requireAdmin, async (request, response) => {
+  try {
+    const report = await runRetentionSweep();
     
     response.json({
       success: true,
       message: 'Cleanup completed',
-      cleanedFiles: cleanedFiles,
-      count: cleanedFiles.length
+      report
     });
     
   } catch (error) {
@@ -714,7 +4115,7 @@ app.post('/api/cleanup', async (request, response) => {
 });
 
 // =======================
-// 11. ERROR HANDLING
+// 12. ERROR HANDLING
 // =======================
 
 // Handle 404 errors
@@ -739,6 +4140,8 @@ app.use((error, request, response, next) => {
   // Send error response
   response.status(statusCode).json({
     success: false,
+    // Only codes of deliberate HTTP errors, never system error codes such as ENOENT
+    code: error.expose ? error.code : undefined,
     error: error.message || 'An unexpected error occurred',
     // Only include stack trace in development
     ...(app.get('env') === 'development' && { stack: error.stack })
@@ -746,33 +4149,194 @@ app.use((error, request, response, next) => {
 });
 
 // =======================
-// 12. STARTUP CLEANUP
+// 13. RETENTION MANAGER
 // =======================
-async function startupCleanup() {
-  console.log('Performing startup cleanup...');
+
+// Report of the last retention sweep, null until the first one has run
+let lastRetentionReport = null;
+
+// The sweep in progress, so overlapping requests share it
+let activeRetentionSweep = null;
+
+/**
+ * Removes what is no longer needed: expired jobs, preview uploads, cached pages and
+ * files nobody knows about, then more until everything fits the disk quota.
+ * Files of queued and running jobs are never touched.
+ * @returns {Promise<object>} Report ({ startedAt, removed: [{ kind, name, size, reason }], freed, usage, quota })
+ */
+function runRetentionSweep() {
+  if (!activeRetentionSweep) {
+    activeRetentionSweep = sweepRetainedFiles().finally(() => {
+      activeRetentionSweep = null;
+    });
+  }
+  
+  return activeRetentionSweep;
+}
+
+/**
+ * One retention sweep (see runRetentionSweep)
+ * @returns {Promise<object>} Retention report
+ */
+async function sweepRetainedFiles() {
+  const startedAt = Date.now();
+  const removed = [];
+  const isFinished = (job) => job.state === JOB_STATES.DONE || job.state === JOB_STATES.FAILED;
+  
+  // Sizes are measured before anything is removed
+  const measureJob = async (job) => (await listFolderEntries(job.workspace.root)).reduce((total, entry) => total + entry.size, 0);
+  const measureSources = async (sources) => {
+    const sizes = await Promise.all(sources.map((source) => fs.stat(source.path).then((stats) => stats.size, () => 0)));
+    return sizes.reduce((total, size) => total + size, 0);
+  };
+  
+  const removeJob = async (job, reason) => {
+    const size = await measureJob(job);
+    await discardJob(job);
+    removed.push({ kind: 'result', name: `jobs/${job.id}`, size, reason });
+  };
+  const removePreviewUpload = async (previewUpload, reason) => {
+    const size = await measureSources(previewUpload.sources);
+    await discardPreviewUpload(previewUpload);
+    removed.push({ kind: 'upload', name: `preview ${previewUpload.id}`, size, reason });
+  };
+  const recordCacheEviction = ({ pages, size }, reason) => {
+    if (pages > 0) {
+      removed.push({ kind: 'cache', name: `${pages} cached page(s)`, size, reason });
+    }
+  };
+  
+  // 1. Everything past its age
+  for (const job of [...jobs.values()]) {
+    if (isFinished(job) && startedAt - job.updatedAt > RETENTION_MAX_AGE) {
+      await removeJob(job, 'expired');
+    }
+  }
+  
+  for (const previewUpload of [...previewUploads.values()]) {
+    if (startedAt - previewUpload.lastUsedAt > RETENTION_MAX_AGE) {
+      await removePreviewUpload(previewUpload, 'expired');
+    }
+  }
+  
+  recordCacheEviction(await evictCachedPages(), 'expired');
+  
+  // 2. Files no job or preview knows about, such as those from before a restart.
+  // Young ones may belong to an upload that is still arriving, so they get the full age too.
+  const knownPaths = new Set();
+  for (const job of jobs.values()) {
+    knownPaths.add(job.workspace.root);
+    job.sources.forEach((source) => knownPaths.add(source.path));
+  }
+  for (const previewUpload of previewUploads.values()) {
+    previewUpload.sources.forEach((source) => knownPaths.add(source.path));
+  }
+  
+  for (const [kind, folderPath] of [['result', JOBS_FOLDER], ['upload', UPLOAD_FOLDER]]) {
+    for (const entry of await listFolderEntries(folderPath)) {
+      if (!knownPaths.has(entry.path) && startedAt - entry.modifiedAt > RETENTION_MAX_AGE) {
+        await (kind === 'upload' ? removeFile(entry.path) : removeFolder(entry.path));
+        removed.push({ kind, name: path.relative(__dirname, entry.path), size: entry.size, reason: 'orphaned' });
+      }
+    }
+  }
+  
+  // 3. Over the quota: cached pages go first (they only save time),
+  // then finished jobs and idle preview uploads, oldest first
+  const measureUsage = async () => {
+    const [uploads, results] = await Promise.all([UPLOAD_FOLDER, JOBS_FOLDER].map(async (folderPath) => {
+      return (await listFolderEntries(folderPath)).reduce((total, entry) => total + entry.size, 0);
+    }));
+    return { uploads, results, cache: pageCacheSize, total: uploads + results + pageCacheSize };
+  };
+  
+  let usage = await measureUsage();
+  
+  if (usage.total > RETENTION_DISK_QUOTA) {
+    const excess = usage.total - RETENTION_DISK_QUOTA;
+    recordCacheEviction(await evictCachedPages(Math.max(0, pageCacheSize - excess)), 'over quota');
+    usage = await measureUsage();
+    
+    const candidates = [
+      ...[...jobs.values()].filter(isFinished).map((job) => ({ usedAt: job.updatedAt, remove: () => removeJob(job, 'over quota') })),
+      ...[...previewUploads.values()].map((previewUpload) => ({
+        usedAt: previewUpload.lastUsedAt,
+        remove: () => removePreviewUpload(previewUpload, 'over quota')
+      }))
+    ].sort((first, second) => first.usedAt - second.usedAt);
+    
+    for (const candidate of candidates) {
+      if (usage.total <= RETENTION_DISK_QUOTA) {
+        break;
+      }
+      await candidate.remove();
+      usage = await measureUsage();
+    }
+    
+    if (usage.total > RETENTION_DISK_QUOTA) {
+      console.warn(`Retention: still ${usage.total} bytes in use, over the ${RETENTION_DISK_QUOTA} byte quota (running jobs are kept)`);
+    }
+  }
+  
+  for (const item of removed) {
+    console.log(`Retention: removed ${item.name} (${item.kind}, ${item.size} bytes, ${item.reason})`);
+  }
+  
+  lastRetentionReport = {
+    startedAt: new Date(startedAt).toISOString(),
+    removed,
+    freed: removed.reduce((total, item) => total + item.size, 0),
+    usage,
+    quota: RETENTION_DISK_QUOTA,
+    maxAge: RETENTION_MAX_AGE
+  };
+  return lastRetentionReport;
+}
+
+/**
+ * Tidies up after earlier runs and starts the periodic retention sweeps
+ */
+async function startRetentionManager() {
+  console.log('Starting retention manager...');
   
   try {
-    // Clean up final PDF from previous session
-    await removeFile(FINAL_PDF_PATH);
-    
-    // Clean up temporary folders from previous session
-    await Promise.all([
-      removeFolder(TEMP_UPLOAD_FOLDER),
-      removeFolder(STAGE_1_FOLDER),
-      removeFolder(STAGE_2_FOLDER),
-      removeFolder(FINAL_FOLDER)
-    ]);
-    
-    console.log('Startup cleanup completed');
+    // Remove shared folders left behind by releases without per-job workspaces
+    await Promise.all(LEGACY_WORK_PATHS.map((legacyPath) => removeFolder(legacyPath)));
+    
+    // Pick up pages cached before the restart
+    await loadPageCacheIndex();
+    
+    await runRetentionSweep();
   } catch (error) {
-    console.warn('Startup cleanup had some issues:', error.message);
+    console.warn('Startup retention sweep had some issues:', error.message);
   }
+  
+  const sweepTimer = setInterval(() => {
+    runRetentionSweep().catch((error) => {
+      console.warn('Retention sweep failed:', error.message);
+    });
+  }, RETENTION_SWEEP_INTERVAL);
+  sweepTimer.unref();
 }
 
-// Run startup cleanup when the server starts
-startupCleanup().catch(console.error);
-
 // =======================
-// 13. EXPORT APPLICATION
+// 14. EXPORT APPLICATION
 // =======================
-module.exports = app;
\ No newline at end of file
+module.exports = app;
+
+// Started by the server entry points, so requiring the app (benchmarks, tests) leaves
+// the uploads, jobs and cache folders alone
+module.exports.startRetentionManager = startRetentionManager;
+
+// Pipeline building blocks, used by scripts/benchmark-pipeline.js and the tests
+module.exports.pipeline = {
+  findPreset,
+  splitRecipeIntoPasses,
+  applyImageOperations,
+  renderSourcePages,
+  processPageImages,
+  getLayoutFromRequest,
+  resolveSheetLayout,
+  computeGrid,
+  createPdfFromImages
+};
\ No newline at end of file
@@ -3,4 +3,5 @@ const PORT = process.env.PORT || 6345;
 
 app.listen(PORT, () => {
   console.log(`Server is running on http://localhost:${PORT}`);
+  app.startRetentionManager().catch(console.error);
 });
\ No newline at end of file
@@ -0,0 +1,236 @@
+#!/usr/bin/env node
+// =======================
+// PIPELINE BENCHMARK
+// =======================
+// Compares the original disk-based pipeline (fixed grayscale, negate and linear stages,
+// every stage written to its own folder) with the in-memory pipeline running the
+// math_mahir_slides preset that replaced it, on a generated multi-page PDF, and checks
+// that both produce byte-identical processed pages.
+//
+// Usage: node scripts/benchmark-pipeline.js [pages]
+
+const path = require('path');
+const os = require('os');
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const { performance } = require('perf_hooks');
+const { PDFToImage } = require('pdf-to-image-generator');
+const sharp = require('sharp');
+const PDFDocument = require('pdfkit');
+
+// Measure the pipeline itself, not the page cache
+process.env.PAGE_CACHE_MAX_MB = '0';
+const { pipeline } = require('../app');
+
+const PAGE_COUNT = parseInt(process.argv[2], 10) || 40;
+const PRESET = 'math_mahir_slides'; // The preset reproducing the original stages
+const LAYOUT = pipeline.getLayoutFromRequest({ column: 2, row: 4 }); // Default A4 handout
+
+// The original processing stages, each written to its own folder
+const DISK_STAGES = [
+  (image) => image.grayscale().negate().linear(1.3, -50),
+  (image) => image.negate().linear(1.2, -30),
+  (image) => image.negate().linear(1.5, -30)
+];
+
+// The original grid: A4 pages, 2 columns and 4 rows of cells 90% of the row height
+const A4_WIDTH = 595;
+const A4_HEIGHT = 842;
+const DISK_COLUMNS = 2;
+const DISK_ROWS = 4;
+const DISK_PADDING = 4;
+const PAGE_FILE_PATTERN = /(\d+)\.(?:jpe?g|png)$/i;
+
+/**
+ * Writes a PDF of dark 16:9 slides with a title, bullet text and a chart
+ * @param {string} outputPath - Path of the PDF to write
+ * @param {number} pageCount - Number of slides
+ */
+async function generateSlidesPdf(outputPath, pageCount) {
+  const document = new PDFDocument({ autoFirstPage: false });
+  const writeStream = fsSync.createWriteStream(outputPath);
+  document.pipe(writeStream);
+  
+  for (let page = 1; page <= pageCount; page++) {
+    document.addPage({ size: [720, 405], margin: 0 });
+    document.rect(0, 0, 720, 405).fill('#1f2333');
+    document.fillColor('#f5f5f5').fontSize(32).text(`Slide ${page}`, 40, 30);
+    document.fontSize(16);
+    for (let line = 0; line < 6; line++) {
+      document.text(`• Point ${line + 1} of slide ${page}: x² + ${page}x − ${line} = 0`, 50, 100 + line * 28);
+    }
+    for (let bar = 0; bar < 5; bar++) {
+      const height = 40 + ((page * 37 + bar * 53) % 160);
+      document.rect(480 + bar * 40, 360 - height, 28, height).fill(bar % 2 ? '#f59e0b' : '#60a5fa');
+    }
+  }
+  
+  document.end();
+  await new Promise((resolve, reject) => {
+    writeStream.on('finish', resolve);
+    writeStream.on('error', reject);
+  });
+}
+
+/**
+ * Lists the images of a folder in page order. The original code sorted file names
+ * alphabetically (page 10 before page 2); sorting by page number lets the pages be
+ * compared one by one.
+ * @param {string} folder - Folder of rendered or processed pages
+ * @returns {Promise<string[]>} File paths in page order
+ */
+async function listPageFiles(folder) {
+  const pageNumber = (file) => parseInt(PAGE_FILE_PATTERN.exec(file)[1], 10);
+  const files = (await fs.readdir(folder)).filter((file) => PAGE_FILE_PATTERN.test(file));
+  
+  return files
+    .sort((first, second) => pageNumber(first) - pageNumber(second))
+    .map((file) => path.join(folder, file));
+}
+
+/**
+ * Composes the handout the way the original code did: images read from a folder,
+ * placed in a fixed A4 grid with a border and a number per cell
+ * @param {string[]} imagePaths - Images in page order
+ * @param {string} outputPath - Output PDF path
+ */
+async function composeFromFiles(imagePaths, outputPath) {
+  const cellWidth = A4_WIDTH / DISK_COLUMNS;
+  const cellHeight = (A4_HEIGHT / DISK_ROWS) * 0.9;
+  const document = new PDFDocument({ autoFirstPage: false });
+  const writeStream = fsSync.createWriteStream(outputPath);
+  document.pipe(writeStream);
+  
+  imagePaths.forEach((imagePath, index) => {
+    const slot = index % (DISK_COLUMNS * DISK_ROWS);
+    if (slot === 0) {
+      document.addPage({ size: [A4_WIDTH, A4_HEIGHT] });
+    }
+    const x = (slot % DISK_COLUMNS) * cellWidth;
+    const y = Math.floor(slot / DISK_COLUMNS) * cellHeight;
+    
+    document.image(imagePath, x + DISK_PADDING, y + DISK_PADDING, {
+      fit: [cellWidth - 2 * DISK_PADDING, cellHeight - 2 * DISK_PADDING]
+    });
+    document.save().lineWidth(1).strokeColor('black').rect(x, y, cellWidth, cellHeight).stroke().restore();
+    document.fontSize(6).fillColor('black').text(String(index + 1), x + cellWidth - 15, y + cellHeight - 15);
+  });
+  
+  document.end();
+  await new Promise((resolve, reject) => {
+    writeStream.on('finish', resolve);
+    writeStream.on('error', reject);
+  });
+}
+
+/**
+ * The pipeline as it worked before pages were kept in memory and recipes existed:
+ * render to a folder, then one folder per fixed sharp stage, then compose from the last folder.
+ * @param {string} pdfPath - Source PDF
+ * @param {string} workFolder - Scratch folder
+ * @param {string} outputPath - Output PDF path
+ * @returns {Promise<Buffer[]>} Final processed images in page order
+ */
+async function runDiskPipeline(pdfPath, workFolder, outputPath) {
+  const renderFolder = path.join(workFolder, 'upload');
+  const pdf = await new PDFToImage().load(pdfPath);
+  await pdf.convert({ outputFolderName: renderFolder, viewportScale: 2 });
+  
+  let inputFolder = renderFolder;
+  for (const [index, applyStage] of DISK_STAGES.entries()) {
+    const outputFolder = path.join(workFolder, `stage_${index + 1}`);
+    await fs.mkdir(outputFolder, { recursive: true });
+    
+    for (const inputPath of await listPageFiles(inputFolder)) {
+      await applyStage(sharp(inputPath)).toFile(path.join(outputFolder, path.basename(inputPath)));
+    }
+    inputFolder = outputFolder;
+  }
+  
+  const imagePaths = await listPageFiles(inputFolder);
+  await composeFromFiles(imagePaths, outputPath);
+  return Promise.all(imagePaths.map((imagePath) => fs.readFile(imagePath)));
+}
+
+/**
+ * The current in-memory pipeline
+ * @param {string} pdfPath - Source PDF
+ * @param {object[]} steps - Recipe steps
+ * @param {string} outputPath - Output PDF path
+ * @returns {Promise<Buffer[]>} Final processed images in page order
+ */
+async function runMemoryPipeline(pdfPath, steps, outputPath) {
+  const renderedPages = await pipeline.renderSourcePages([{ path: pdfPath, name: 'benchmark.pdf', kind: 'pdf' }]);
+  const processedPages = await pipeline.processPageImages(renderedPages, steps);
+  await pipeline.createPdfFromImages(processedPages, LAYOUT, outputPath);
+  return processedPages.map((page) => page.content);
+}
+
+/**
+ * Runs a function and measures its duration
+ * @param {function} task - Async function to measure
+ * @returns {Promise<object>} { result, milliseconds }
+ */
+async function measure(task) {
+  const start = performance.now();
+  const result = await task();
+  return { result, milliseconds: performance.now() - start };
+}
+
+async function main() {
+  const preset = await pipeline.findPreset(PRESET);
+  if (!preset) {
+    throw new Error(`Unknown preset: ${PRESET}`);
+  }
+  
+  const workFolder = await fs.mkdtemp(path.join(os.tmpdir(), 'goodpdf-benchmark-'));
+  
+  try {
+    const sourcePath = path.join(workFolder, 'slides.pdf');
+    const warmUpPath = path.join(workFolder, 'warm-up.pdf');
+    await generateSlidesPdf(sourcePath, PAGE_COUNT);
+    await generateSlidesPdf(warmUpPath, 1);
+    
+    // Silence the pipeline's per-step logging while measuring
+    const log = console.log;
+    console.log = () => {};
+    
+    let disk;
+    let memory;
+    try {
+      // Load PDF.js and sharp once so neither approach pays for it
+      await runMemoryPipeline(warmUpPath, preset.steps, path.join(workFolder, 'warm-up-output.pdf'));
+      
+      disk = await measure(() => runDiskPipeline(
+        sourcePath,
+        path.join(workFolder, 'disk'),
+        path.join(workFolder, 'disk.pdf')
+      ));
+      memory = await measure(() => runMemoryPipeline(
+        sourcePath,
+        preset.steps,
+        path.join(workFolder, 'memory.pdf')
+      ));
+    } finally {
+      console.log = log;
+    }
+    
+    const identical = disk.result.length === memory.result.length &&
+      disk.result.every((content, index) => content.equals(memory.result[index]));
+    
+    console.log(`Pages: ${PAGE_COUNT}, preset: ${preset.id}`);
+    console.log(`Disk pipeline:      ${disk.milliseconds.toFixed(0)} ms`);
+    console.log(`In-memory pipeline: ${memory.milliseconds.toFixed(0)} ms`);
+    console.log(`Speed-up:           ${(disk.milliseconds / memory.milliseconds).toFixed(2)}x`);
+    console.log(`Processed pages identical: ${identical ? 'yes' : 'NO'}`);
+    
+    process.exitCode = identical ? 0 : 1;
+  } finally {
+    await fs.rm(workFolder, { recursive: true, force: true });
+  }
+}
+
+main().catch((error) => {
+  console.error('Benchmark failed:', error);
+  process.exitCode = 1;
+});
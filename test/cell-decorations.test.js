@@ -0,0 +1,292 @@
+// =======================
+// CELL DECORATIONS
+// =======================
+// Borders and slide numbers are checked in the content streams of the handout:
+// the path and dash operators of each border style, the line width, where the
+// number is written, in which font and size, and that "none" draws nothing.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const os = require('os');
+const fs = require('fs').promises;
+const zlib = require('zlib');
+const sharp = require('sharp');
+const PDFDocument = require('pdfkit');
+const { PDFToImage } = require('pdf-to-image-generator');
+
+// Keep the tests away from the page cache
+process.env.PAGE_CACHE_MAX_MB = '0';
+const { pipeline } = require('../app');
+
+// One column of two slides, so both cells sit on the first page
+const GRID = { column: 1, row: 2 };
+const PAGE_NUMBERS = [3, 12];
+
+const BENGALI_DIGITS = ['০', '১', '২', '৩', '৪', '৫', '৬', '৭', '৮', '৯'];
+
+// Same limits as the app: corner offset, edge gap and largest rounded corner
+const NUMBER_CORNER_OFFSET = 15;
+const NUMBER_EDGE_GAP = 4;
+const MAX_BORDER_RADIUS = 8;
+
+let workFolder;
+let slideImage;
+
+test.before(async () => {
+  workFolder = await fs.mkdtemp(path.join(os.tmpdir(), 'goodpdf-test-'));
+  slideImage = await sharp({ create: { width: 160, height: 90, channels: 3, background: '#888888' } }).png().toBuffer();
+});
+
+test.after(() => fs.rm(workFolder, { recursive: true, force: true }));
+
+/**
+ * Composes a one-page handout of two slides with the given decoration options
+ * @param {object} options - Request body fields (border, borderWidth, numberPosition, ...)
+ * @returns {Promise<object>} { pdf: file content, content: first page content stream, cells: slide boxes }
+ */
+async function createHandout(options) {
+  const layout = pipeline.getLayoutFromRequest({ ...GRID, ...options });
+  const outputPath = path.join(workFolder, `handout-${Date.now()}-${Math.random()}.pdf`);
+  const images = PAGE_NUMBERS.map((pageNumber) => ({
+    pageNumber,
+    sourceIndex: 0,
+    type: 'png',
+    content: slideImage,
+    textItems: []
+  }));
+  
+  await pipeline.createPdfFromImages(images, layout, outputPath);
+  
+  const grid = pipeline.computeGrid(layout);
+  const cells = PAGE_NUMBERS.map((_, slot) => ({
+    ...grid.getCellOrigin(slot),
+    width: grid.slideWidth,
+    height: grid.slideHeight
+  }));
+  const pdf = (await fs.readFile(outputPath)).toString('latin1');
+  
+  return { pdf, outputPath, content: readPageContents(pdf)[0], cells, pageHeight: layout.pageHeight };
+}
+
+/**
+ * Reads the content streams of every page, inflated
+ * @param {string} pdf - PDF file content (latin1)
+ * @returns {string[]} Content operators per page
+ */
+function readPageContents(pdf) {
+  return [...pdf.matchAll(/\/Type \/Page\n[^]*?\/Contents (\d+) 0 R/g)].map(([, objectId]) => {
+    const objectStart = pdf.indexOf(`\n${objectId} 0 obj\n`);
+    const dictionary = pdf.slice(objectStart, pdf.indexOf('stream\n', objectStart));
+    const streamStart = objectStart + dictionary.length + 'stream\n'.length;
+    const data = Buffer.from(pdf.slice(streamStart, pdf.indexOf('\nendstream', streamStart)), 'latin1');
+    
+    return (/FlateDecode/.test(dictionary) ? zlib.inflateSync(data) : data).toString('latin1');
+  });
+}
+
+/**
+ * Finds the font behind a font resource name such as "F1"
+ * @param {string} pdf - PDF file content (latin1)
+ * @param {string} resourceName - Name used by the Tf operator
+ * @returns {string} BaseFont of the font
+ */
+function getBaseFont(pdf, resourceName) {
+  const [, objectId] = new RegExp(`/${resourceName} (\\d+) 0 R`).exec(pdf);
+  const objectStart = pdf.indexOf(`\n${objectId} 0 obj\n`);
+  return /\/BaseFont \/(\S+)/.exec(pdf.slice(objectStart, pdf.indexOf('endobj', objectStart)))[1];
+}
+
+/**
+ * Lists the text objects of a content stream
+ * @param {string} content - Page content operators
+ * @returns {object[]} Text objects ({ x, y, font, size }) in PDF coordinates
+ */
+function getTextObjects(content) {
+  return [...content.matchAll(/BT\n1 0 0 1 (\S+) (\S+) Tm\n\/(\S+) (\S+) Tf\n/g)].map(([, x, y, font, size]) => ({
+    x: Number(x),
+    y: Number(y),
+    font,
+    size: Number(size)
+  }));
+}
+
+/**
+ * Works out where the app should write a slide number, from the top left of the page
+ * @param {object} cell - Slide box ({ x, y, width, height })
+ * @param {string} position - Number position such as "bottom-right"
+ * @param {string} label - Number as written
+ * @param {number} size - Font size
+ * @returns {object} { x, y } of the top left of the text
+ */
+function getExpectedNumberOrigin(cell, position, label, size) {
+  const measure = new PDFDocument({ autoFirstPage: false }).font('Helvetica').fontSize(size);
+  const textWidth = measure.widthOfString(label);
+  const textHeight = measure.currentLineHeight();
+  const [vertical, horizontal] = position.split('-');
+  
+  return {
+    x: horizontal === 'right'
+      ? cell.x + cell.width - Math.max(NUMBER_CORNER_OFFSET, textWidth + NUMBER_EDGE_GAP)
+      : cell.x + NUMBER_EDGE_GAP,
+    y: vertical === 'bottom'
+      ? cell.y + cell.height - Math.max(NUMBER_CORNER_OFFSET, textHeight + NUMBER_EDGE_GAP)
+      : cell.y + NUMBER_EDGE_GAP
+  };
+}
+
+/**
+ * Lists the stroked paths of a content stream with the graphics state they were drawn in
+ * @param {string} content - Page content operators
+ * @returns {object[]} Stroked paths ({ lineWidth, dash: "[on off] phase" or null, path: [{ operator, operands }] })
+ */
+function getStrokes(content) {
+  return [...content.matchAll(/q\n(\S+ w\n[^]*?)\nS\nQ/g)].map(([, block]) => {
+    const lines = block.split('\n');
+    const dash = lines.find((line) => line.endsWith(' d'));
+    
+    return {
+      lineWidth: Number(lines[0].split(' ')[0]),
+      dash: dash ? dash.slice(0, -' d'.length) : null,
+      path: lines
+        .filter((line) => /^[\d.\s-]+ (?:m|l|c|re)$/.test(line))
+        .map((line) => {
+          const parts = line.split(' ');
+          return { operator: parts.pop(), operands: parts.map(Number) };
+        })
+    };
+  });
+}
+
+/**
+ * Asserts that two lists of coordinates match, allowing for the rounding of written numbers
+ * @param {number[]} actual - Coordinates read from the content stream
+ * @param {number[]} expected - Coordinates worked out from the grid
+ */
+function assertCoordinates(actual, expected) {
+  assert.equal(actual.length, expected.length);
+  actual.forEach((value, index) => {
+    assert.ok(Math.abs(value - expected[index]) < 0.01, `${actual.join(' ')} is not ${expected.join(' ')}`);
+  });
+}
+
+for (const borderWidth of [0.5, 2.5]) {
+  test(`solid border of ${borderWidth} pt is one undashed rectangle per slide`, async () => {
+    const { content, cells } = await createHandout({ border: 'solid', borderWidth });
+    const strokes = getStrokes(content);
+    
+    assert.equal(strokes.length, cells.length);
+    strokes.forEach((stroke, index) => {
+      const cell = cells[index];
+      assert.equal(stroke.lineWidth, borderWidth);
+      assert.equal(stroke.dash, null);
+      assert.deepEqual(stroke.path.map((step) => step.operator), ['re']);
+      assertCoordinates(stroke.path[0].operands, [cell.x, cell.y, cell.width, cell.height]);
+    });
+  });
+  
+  test(`dashed border of ${borderWidth} pt scales its dash pattern with the width`, async () => {
+    const { content, cells } = await createHandout({ border: 'dashed', borderWidth });
+    const strokes = getStrokes(content);
+    
+    assert.equal(strokes.length, cells.length);
+    strokes.forEach((stroke, index) => {
+      const cell = cells[index];
+      assert.equal(stroke.lineWidth, borderWidth);
+      assert.equal(stroke.dash, `[${3 * borderWidth} ${2 * borderWidth}] 0`);
+      assert.deepEqual(stroke.path.map((step) => step.operator), ['re']);
+      assertCoordinates(stroke.path[0].operands, [cell.x, cell.y, cell.width, cell.height]);
+    });
+  });
+  
+  test(`rounded border of ${borderWidth} pt is a closed path with four curved corners`, async () => {
+    const { content, cells } = await createHandout({ border: 'rounded', borderWidth });
+    const strokes = getStrokes(content);
+    
+    assert.equal(strokes.length, cells.length);
+    strokes.forEach((stroke, index) => {
+      const cell = cells[index];
+      const radius = Math.min(MAX_BORDER_RADIUS, Math.min(cell.width, cell.height) / 10);
+      
+      assert.equal(stroke.lineWidth, borderWidth);
+      assert.equal(stroke.dash, null);
+      assert.deepEqual(stroke.path.map((step) => step.operator), ['m', 'l', 'c', 'l', 'c', 'l', 'c', 'l', 'c']);
+      assertCoordinates(stroke.path[0].operands, [cell.x + radius, cell.y]);
+      
+      // Each corner curve ends on the next side of the cell, one radius away from the corner
+      const curveEnds = stroke.path
+        .filter((step) => step.operator === 'c')
+        .map((step) => step.operands.slice(4));
+      const expectedEnds = [
+        [cell.x + cell.width, cell.y + radius],
+        [cell.x + cell.width - radius, cell.y + cell.height],
+        [cell.x, cell.y + cell.height - radius],
+        [cell.x + radius, cell.y]
+      ];
+      curveEnds.forEach((end, corner) => assertCoordinates(end, expectedEnds[corner]));
+    });
+  });
+}
+
+test('border "none" strokes nothing', async () => {
+  const { content } = await createHandout({ border: 'none', borderWidth: 3 });
+  
+  assert.deepEqual(getStrokes(content), []);
+  assert.doesNotMatch(content, /(?:^|\n)\S+ w\n/);
+  assert.doesNotMatch(content, /\nS\n/);
+  assert.doesNotMatch(content, / d\n/);
+});
+
+for (const position of ['bottom-right', 'bottom-left', 'top-right', 'top-left']) {
+  test(`${position} numbers are written in the ${position} corner of each slide`, async () => {
+    const numberSize = 14;
+    const { pdf, content, cells, pageHeight } = await createHandout({ numberPosition: position, numberSize });
+    const textObjects = getTextObjects(content);
+    
+    assert.equal(textObjects.length, cells.length);
+    textObjects.forEach((text, index) => {
+      const expected = getExpectedNumberOrigin(cells[index], position, String(PAGE_NUMBERS[index]), numberSize);
+      
+      assert.equal(getBaseFont(pdf, text.font), 'Helvetica');
+      assert.equal(text.size, numberSize);
+      assert.ok(Math.abs(text.x - expected.x) < 0.01, `number ${index + 1} at x ${text.x}, expected ${expected.x}`);
+      
+      // The baseline sits below the top of the text, by less than one font size
+      const baselineFromTop = pageHeight - text.y;
+      assert.ok(baselineFromTop > expected.y && baselineFromTop < expected.y + numberSize,
+        `number ${index + 1} baseline at ${baselineFromTop}, expected just below ${expected.y}`);
+    });
+  });
+}
+
+test('Bengali numbers use the Bengali font and Bengali digits', async () => {
+  const numberSize = 10;
+  const { pdf, outputPath, content } = await createHandout({ numberDigits: 'bengali', numberSize });
+  const textObjects = getTextObjects(content);
+  
+  assert.equal(textObjects.length, PAGE_NUMBERS.length);
+  for (const text of textObjects) {
+    assert.match(getBaseFont(pdf, text.font), /NotoSansBengali/);
+    assert.equal(text.size, numberSize);
+  }
+  
+  // The embedded font maps the written glyphs back to their characters
+  const document = (await new PDFToImage().load(outputPath)).document;
+  try {
+    const { items } = await (await document.getPage(1)).getTextContent();
+    const labels = items.map((item) => item.str.trim()).filter(Boolean);
+    const expected = PAGE_NUMBERS.map((pageNumber) => String(pageNumber).replace(/\d/g, (digit) => BENGALI_DIGITS[digit]));
+    
+    assert.deepEqual(labels, expected);
+  } finally {
+    await document.destroy();
+  }
+});
+
+test('number position "none" writes no text', async () => {
+  const { content } = await createHandout({ numberPosition: 'none', numberSize: 20 });
+  
+  assert.deepEqual(getTextObjects(content), []);
+  assert.doesNotMatch(content, /\bBT\b/);
+  assert.doesNotMatch(content, / Tf\n/);
+});
@@ -0,0 +1,82 @@
+// =======================
+// INVERSION
+// =======================
+// Pages that auto-invert leaves alone skip every step the recipe tuned for the
+// inverted image, not only its negate steps, so light slides keep their brightness.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+
+// Keep the tests away from the page cache
+process.env.PAGE_CACHE_MAX_MB = '0';
+const { pipeline } = require('../app');
+
+/**
+ * Builds a light slide: dark text-like bars on a white background
+ * @returns {Promise<object>} Rendered page ({ pageNumber, type, content })
+ */
+async function createLightPage() {
+  const bars = [20, 40, 60].map((top) => ({
+    input: { create: { width: 120, height: 8, channels: 3, background: '#202060' } },
+    left: 20,
+    top
+  }));
+  const content = await sharp({ create: { width: 160, height: 90, channels: 3, background: '#ffffff' } })
+    .composite(bars)
+    .png()
+    .toBuffer();
+  
+  return { pageNumber: 1, type: 'png', content };
+}
+
+/**
+ * Runs steps one at a time, the way a page would go through them on its own
+ * @param {Buffer} content - Source image
+ * @param {object[]} steps - Recipe steps
+ * @returns {Promise<Buffer>} Raw pixels of the result
+ */
+async function runSteps(content, steps) {
+  let current = content;
+  for (const step of steps) {
+    current = await pipeline.applyImageOperations(sharp(current), [step]).png().toBuffer();
+  }
+  return sharp(current).raw().toBuffer();
+}
+
+/**
+ * Processes one page with or without the recipe's inversion
+ * @param {object} page - Rendered page
+ * @param {object[]} steps - Recipe steps
+ * @param {boolean} inverted - Whether the page is one of the inverted pages
+ * @returns {Promise<Buffer>} Raw pixels of the processed page
+ */
+async function processPage(page, steps, inverted) {
+  const [processedPage] = await pipeline.processPageImages([page], steps, undefined, new Set(inverted ? [page.pageNumber] : []));
+  return sharp(processedPage.content).raw().toBuffer();
+}
+
+for (const [presetId, keptSteps] of [['math_mahir_slides', ['grayscale']], ['soft_dark_slides', ['grayscale', 'sharpen']]]) {
+  test(`uninverted pages of ${presetId} only get ${keptSteps.join(' and ')}`, async () => {
+    const page = await createLightPage();
+    const { steps } = await pipeline.findPreset(presetId);
+    const expected = await runSteps(page.content, steps.filter((step) => keptSteps.includes(step.step)));
+    
+    assert.ok((await processPage(page, steps, false)).equals(expected));
+  });
+}
+
+test('inverted pages still get the whole recipe', async () => {
+  const page = await createLightPage();
+  const { steps } = await pipeline.findPreset('math_mahir_slides');
+  
+  assert.ok((await processPage(page, steps, true)).equals(await runSteps(page.content, steps)));
+});
+
+test('recipes without a negate step run in full on uninverted pages', async () => {
+  const page = await createLightPage();
+  const { steps } = await pipeline.findPreset('high_contrast_print');
+  const [processedPage] = await pipeline.processPageImages([page], steps);
+  
+  assert.ok((await processPage(page, steps, false)).equals(await sharp(processedPage.content).raw().toBuffer()));
+});
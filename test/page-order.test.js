@@ -0,0 +1,105 @@
+// =======================
+// PAGE ORDER
+// =======================
+// Handout cells must follow the source page numbers, also past page 9,
+// and each cell must carry the number of the slide it shows.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const os = require('os');
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const PDFDocument = require('pdfkit');
+const { PDFToImage } = require('pdf-to-image-generator');
+
+// Keep the tests away from the page cache
+process.env.PAGE_CACHE_MAX_MB = '0';
+const { pipeline } = require('../app');
+
+const PAGE_COUNT = 25;
+const SLIDE_LABEL = /^Slide (\d+)$/;
+const SLIDE_NUMBER = /^\d+$/;
+
+/**
+ * Writes a PDF of 16:9 slides that each show their own page number
+ * @param {string} outputPath - Path of the PDF to write
+ * @param {number} pageCount - Number of slides
+ */
+async function generateNumberedPdf(outputPath, pageCount) {
+  const document = new PDFDocument({ autoFirstPage: false });
+  const writeStream = fsSync.createWriteStream(outputPath);
+  document.pipe(writeStream);
+  
+  for (let page = 1; page <= pageCount; page++) {
+    document.addPage({ size: [720, 405] });
+    document.fontSize(60).fillColor('black').text(`Slide ${page}`, 60, 60, { lineBreak: false });
+  }
+  
+  document.end();
+  await new Promise((resolve, reject) => {
+    writeStream.on('finish', resolve);
+    writeStream.on('error', reject);
+  });
+}
+
+/**
+ * Reads the text of a PDF in reading order: page by page, top to bottom, then left to right
+ * @param {string} pdfPath - PDF to read
+ * @returns {Promise<object[]>} Text items ({ page, text, x, y }) with y measured from the top
+ */
+async function readTextInReadingOrder(pdfPath) {
+  const pdf = await new PDFToImage().load(pdfPath);
+  const items = [];
+  
+  try {
+    for (let pageNumber = 1; pageNumber <= pdf.document.numPages; pageNumber++) {
+      const page = await pdf.document.getPage(pageNumber);
+      const { height } = page.getViewport({ scale: 1 });
+      const { items: textItems } = await page.getTextContent();
+      
+      const pageItems = textItems
+        .filter((item) => item.str.trim())
+        .map((item) => ({ page: pageNumber, text: item.str.trim(), x: item.transform[4], y: height - item.transform[5] }))
+        .sort((first, second) => Math.round(first.y - second.y) || first.x - second.x);
+      items.push(...pageItems);
+    }
+  } finally {
+    await pdf.document.destroy();
+  }
+  
+  return items;
+}
+
+test(`a ${PAGE_COUNT}-page PDF comes out in page order with matching slide numbers`, async (t) => {
+  const workFolder = await fs.mkdtemp(path.join(os.tmpdir(), 'goodpdf-test-'));
+  t.after(() => fs.rm(workFolder, { recursive: true, force: true }));
+  
+  const sourcePath = path.join(workFolder, 'slides.pdf');
+  const outputPath = path.join(workFolder, 'handout.pdf');
+  await generateNumberedPdf(sourcePath, PAGE_COUNT);
+  
+  const preset = await pipeline.findPreset('math_mahir_slides');
+  const layout = pipeline.getLayoutFromRequest({});
+  const renderedPages = await pipeline.renderSourcePages([{ path: sourcePath, name: 'slides.pdf', kind: 'pdf' }]);
+  const processedPages = await pipeline.processPageImages(renderedPages, preset.steps);
+  await pipeline.createPdfFromImages(processedPages, layout, outputPath);
+  
+  const items = await readTextInReadingOrder(outputPath);
+  const labels = items.filter((item) => SLIDE_LABEL.test(item.text));
+  const numbers = items.filter((item) => SLIDE_NUMBER.test(item.text));
+  const expected = Array.from({ length: PAGE_COUNT }, (_, index) => index + 1);
+  
+  // The text layer over each cell shows which slide it holds
+  assert.deepEqual(labels.map((item) => Number(SLIDE_LABEL.exec(item.text)[1])), expected);
+  assert.deepEqual(numbers.map((item) => Number(item.text)), expected);
+  
+  // Each number sits below and right of the slide it belongs to, within the same cell
+  const grid = pipeline.computeGrid(layout);
+  labels.forEach((label, index) => {
+    const number = numbers[index];
+    assert.equal(number.page, label.page);
+    assert.ok(number.x > label.x && number.x - label.x < grid.slideWidth, `slide ${index + 1} number is in another column`);
+    assert.ok(number.y > label.y && number.y - label.y < grid.slideHeight, `slide ${index + 1} number is in another row`);
+  });
+});
@@ -0,0 +1,113 @@
+// =======================
+// RECIPE PASSES
+// =======================
+// A recipe split into sharp passes must give the same pixels as running every step
+// in its own pass, in the order the recipe lists them.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+
+// Keep the tests away from the page cache
+process.env.PAGE_CACHE_MAX_MB = '0';
+const { pipeline } = require('../app');
+
+const STEPS = [
+  { step: 'gamma', value: 3 },
+  { step: 'grayscale' },
+  { step: 'median', size: 3 },
+  { step: 'threshold', level: 128 },
+  { step: 'sharpen' },
+  { step: 'linear', a: 1.3, b: -20 },
+  { step: 'normalise', lower: 1, upper: 99 },
+  { step: 'negate' }
+];
+
+// Largest per-channel difference allowed: one step of 8-bit rounding
+const ROUNDING_TOLERANCE = 1;
+
+/**
+ * Builds a small colour image with gradients and texture, so every step changes it
+ * @returns {Promise<Buffer>} PNG image
+ */
+async function createSampleImage() {
+  const width = 120;
+  const height = 80;
+  const pixels = Buffer.alloc(width * height * 3);
+  
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const index = (y * width + x) * 3;
+      pixels[index] = x * 2;
+      pixels[index + 1] = (y * 3 + ((x * 7) % 23) * 3) % 256;
+      pixels[index + 2] = ((x * y) % 97) * 2;
+    }
+  }
+  
+  return sharp(pixels, { raw: { width, height, channels: 3 } }).png().toBuffer();
+}
+
+/**
+ * Runs passes one after another, writing the image out between them
+ * @param {Buffer} image - Source image
+ * @param {object[][]} passes - Steps grouped per sharp call
+ * @returns {Promise<Buffer>} Raw pixels of the result
+ */
+async function runPasses(image, passes) {
+  let content = image;
+  for (const operations of passes) {
+    content = await pipeline.applyImageOperations(sharp(content), operations).png().toBuffer();
+  }
+  return sharp(content).raw().toBuffer();
+}
+
+/**
+ * Finds the largest per-channel difference between two raw images
+ * @param {Buffer} first - Raw pixels
+ * @param {Buffer} second - Raw pixels of the same size
+ * @returns {number} Largest difference
+ */
+function getLargestDifference(first, second) {
+  assert.equal(first.length, second.length);
+  let largest = 0;
+  for (let index = 0; index < first.length; index++) {
+    largest = Math.max(largest, Math.abs(first[index] - second[index]));
+  }
+  return largest;
+}
+
+test('gamma runs after sharpen and before linear within a pass', () => {
+  const passes = pipeline.splitRecipeIntoPasses([
+    { step: 'median', size: 3 },
+    { step: 'gamma', value: 2.2 },
+    { step: 'linear', a: 1.2, b: 0 }
+  ]);
+  assert.equal(passes.length, 1);
+  
+  assert.equal(pipeline.splitRecipeIntoPasses([{ step: 'gamma', value: 2.2 }, { step: 'median', size: 3 }]).length, 2);
+});
+
+test('sharpen ends its pass', () => {
+  const passes = pipeline.splitRecipeIntoPasses([{ step: 'sharpen' }, { step: 'gamma', value: 2.2 }]);
+  assert.deepEqual(passes.map((operations) => operations.map((operation) => operation.step)), [['sharpen'], ['gamma']]);
+});
+
+test('every pair of steps matches sequential application', async (t) => {
+  const image = await createSampleImage();
+  
+  for (const first of STEPS) {
+    for (const second of STEPS) {
+      if (first === second) {
+        continue;
+      }
+      
+      await t.test(`${first.step} then ${second.step}`, async () => {
+        const steps = [first, second];
+        const split = await runPasses(image, pipeline.splitRecipeIntoPasses(steps));
+        const sequential = await runPasses(image, steps.map((step) => [step]));
+        
+        assert.ok(getLargestDifference(split, sequential) <= ROUNDING_TOLERANCE);
+      });
+    }
+  }
+});